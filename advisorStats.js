@@ -0,0 +1,54 @@
+// advisorStats.js - SEROX AI Advisor Scoreboard
+// Rolling fire/hit/agreement rates for each advisory model, read from history.
+// =================================================================
+const { getAdvisorNames } = require('./predictionLogic.js');
+
+const DEFAULT_WINDOWS = [20, 50, 100];
+
+function ratio(part, whole) {
+    return whole > 0 ? part / whole : null;
+}
+
+// Agreement is with the primary ML model's call (trace.ml), not the final decision, which
+// can be COOLDOWN; periods without a trace are left out of it.
+function scoreAdvisor(name, entries) {
+    let fired = 0, hits = 0, agreements = 0, compared = 0;
+    for (const entry of entries) {
+        const vote = entry.advisorVotes[name];
+        if (vote === null || vote === undefined) continue;
+        fired++;
+        if (entry.advisorResults[name] === true) hits++;
+        const mlPrediction = entry.trace && entry.trace.ml ? entry.trace.ml.prediction : null;
+        if (mlPrediction === null) continue;
+        compared++;
+        if (vote === mlPrediction) agreements++;
+    }
+    return {
+        periods: entries.length,
+        fired,
+        fireRate: ratio(fired, entries.length),
+        hits,
+        hitRate: ratio(hits, fired),
+        agreements,
+        agreementRate: ratio(agreements, compared)
+    };
+}
+
+// history is newest-first, as kept by the prediction cycle. Only settled periods
+// that carry advisor votes count; each window is the most recent N of those.
+function computeAdvisorStats(history, windows = DEFAULT_WINDOWS) {
+    const settled = history.filter(entry => entry.advisorVotes && entry.advisorResults);
+    return {
+        settledPeriods: settled.length,
+        windows,
+        advisors: getAdvisorNames().map(name => ({
+            name,
+            windows: Object.fromEntries(windows.map(size => [size, scoreAdvisor(name, settled.slice(0, size))]))
+        }))
+    };
+}
+
+module.exports = {
+    DEFAULT_WINDOWS,
+    computeAdvisorStats
+};
@@ -0,0 +1,375 @@
+// auth.js - SEROX AI API Keys
+// API-key authentication with roles, per-key rate limits and an audit log of who changed what.
+// Keys are stored as SHA-256 hashes in a JSON file (API_KEYS_PATH) managed with this CLI:
+//   node auth.js create --role ingest|read|admin --name <label> [--rate-limit <requests/minute>]
+//   node auth.js list
+//   node auth.js revoke <id>
+// The plain key is only printed once, by create. Roles are ordered read < ingest < admin,
+// and each may do everything the ones below it may. Until an active key exists, reads are
+// open and everything else is refused.
+// =================================================================
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validationError } = require('./validation.js');
+
+const DEFAULT_KEYS_PATH = path.join(__dirname, 'data', 'api-keys.json');
+const DEFAULT_AUDIT_LOG_PATH = path.join(__dirname, 'data', 'audit.log');
+const ROLES = ['read', 'ingest', 'admin'];
+// Requests per minute for keys that don't set their own rateLimit.
+const DEFAULT_RATE_LIMITS = { read: 600, ingest: 120, admin: 60 };
+const KEY_PREFIX = 'serox_';
+const KEY_FILE_CHECK_INTERVAL_MS = 5000;
+const STREAM_TOKEN_TTL_MS = 60000;
+
+// --- SECTION 1: KEY FILE ---
+// { version: 1, keys: [{ id, name, role, hash, rateLimit, createdAt, revokedAt }] }
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+function readKeyFile(filePath = DEFAULT_KEYS_PATH) {
+    let contents;
+    try {
+        contents = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Key file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || !Array.isArray(parsed.keys)) throw new Error(`Key file ${filePath} has no keys array.`);
+    return parsed;
+}
+
+// Temp file plus rename, like storage.js, so the server never reads a half-written file.
+function writeKeyFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+}
+
+function createKey(filePath, { name, role, rateLimit = null }) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}.`);
+    if (typeof name !== 'string' || !name.trim()) throw new Error('A key needs a name.');
+    if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) throw new Error('rateLimit must be a positive integer.');
+    const data = readKeyFile(filePath) || { version: 1, keys: [] };
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+        id: crypto.randomBytes(4).toString('hex'),
+        name: name.trim(),
+        role,
+        hash: hashKey(key),
+        rateLimit,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    data.keys.push(record);
+    writeKeyFile(filePath, data);
+    return { key, record };
+}
+
+// Revoked keys stay in the file so audit entries can still be matched to a name.
+function revokeKey(filePath, id) {
+    const data = readKeyFile(filePath);
+    const record = data && data.keys.find(entry => entry.id === id);
+    if (!record) throw new Error(`No key with id "${id}".`);
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        writeKeyFile(filePath, data);
+    }
+    return record;
+}
+
+// The server's view of the key file: active keys by hash, reread when the file changes so
+// keys created or revoked with the CLI apply without a restart. A missing file (even one
+// deleted while the server runs) holds no keys.
+function createKeyStore(filePath = DEFAULT_KEYS_PATH, clock = Date.now) {
+    let byHash = new Map();
+    let exists = false;
+    let loadedMtime = null;
+    let checkedAt = -Infinity;
+
+    function refresh() {
+        const now = clock();
+        if (now - checkedAt < KEY_FILE_CHECK_INTERVAL_MS) return;
+        checkedAt = now;
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            exists = false;
+            byHash = new Map();
+            loadedMtime = null;
+            return;
+        }
+        if (exists && stat.mtimeMs === loadedMtime) return;
+        const data = readKeyFile(filePath) || { keys: [] };
+        byHash = new Map(data.keys.filter(record => !record.revokedAt && ROLES.includes(record.role)).map(record => [record.hash, record]));
+        exists = true;
+        loadedMtime = stat.mtimeMs;
+    }
+
+    return {
+        path: filePath,
+        activeKeyCount() {
+            refresh();
+            return byHash.size;
+        },
+        find(key) {
+            refresh();
+            return byHash.get(hashKey(key)) || null;
+        },
+        // The active key with this id; null once it is revoked.
+        findById(id) {
+            refresh();
+            for (const record of byHash.values()) if (record.id === id) return record;
+            return null;
+        }
+    };
+}
+
+
+// --- SECTION 2: RATE LIMITING ---
+
+// A token bucket per key: `perMinute` requests of burst, refilled continuously.
+function createRateLimiter(clock = Date.now) {
+    const buckets = new Map();
+    return {
+        take(id, perMinute) {
+            const now = clock();
+            const bucket = buckets.get(id) || { tokens: perMinute, updatedAt: now };
+            bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+            bucket.updatedAt = now;
+            buckets.set(id, bucket);
+            if (bucket.tokens < 1) {
+                return { allowed: false, retryAfterSeconds: Math.ceil(((1 - bucket.tokens) / perMinute) * 60) };
+            }
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens) };
+        }
+    };
+}
+
+
+// --- SECTION 3: AUDIT LOG ---
+// One JSON object per line: { time, action, actor, streamId, ...details }.
+
+function createAuditLog(filePath = DEFAULT_AUDIT_LOG_PATH, logger = null) {
+    let writeQueue = Promise.resolve();
+    return {
+        path: filePath,
+        record(action, actor, details = {}) {
+            const line = JSON.stringify({ time: new Date().toISOString(), action, actor, ...details }) + '\n';
+            writeQueue = writeQueue
+                .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+                .then(() => fs.promises.appendFile(filePath, line, 'utf8'))
+                .catch(error => {
+                    if (logger) logger.error('Failed to write audit log', { path: filePath, error });
+                });
+            return writeQueue;
+        },
+        // Newest first. Every filter is optional.
+        async query({ period, streamId, keyId, action, limit = 100 } = {}) {
+            await writeQueue;
+            let contents;
+            try {
+                contents = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const matches = [];
+            const lines = contents.split('\n');
+            for (let i = lines.length - 1; i >= 0 && matches.length < limit; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue;
+                }
+                if (period !== undefined && entry.period !== period) continue;
+                if (streamId !== undefined && entry.streamId !== streamId) continue;
+                if (keyId !== undefined && (!entry.actor || entry.actor.keyId !== keyId)) continue;
+                if (action !== undefined && entry.action !== action) continue;
+                matches.push(entry);
+            }
+            return matches;
+        }
+    };
+}
+
+
+// --- SECTION 4: MIDDLEWARE ---
+
+// Who made a request, as recorded in the audit log.
+function describeActor(req) {
+    if (req.apiKey) return { type: 'key', keyId: req.apiKey.id, name: req.apiKey.name, role: req.apiKey.role, ip: req.ip };
+    return { type: 'anonymous', ip: req.ip };
+}
+
+// The key comes from "Authorization: Bearer <key>" or "X-API-Key: <key>", never the URL.
+function presentedKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+    if (req.get('x-api-key')) return req.get('x-api-key').trim();
+    return null;
+}
+
+// EventSource can't send headers, so a client trades its key for a short-lived token that
+// only opens read routes taking { allowStreamToken: true }, and puts that in the URL instead.
+// A token can be reused until it expires or its key is revoked, so EventSource can reconnect with it.
+function createStreamTokens({ ttlMs = STREAM_TOKEN_TTL_MS, clock = Date.now } = {}) {
+    const tokens = new Map();
+
+    function prune(now) {
+        for (const [token, entry] of tokens) if (entry.expiresAt <= now) tokens.delete(token);
+    }
+
+    return {
+        // apiKey is the req.apiKey of the request asking, null when no keys are loaded.
+        issue(apiKey) {
+            const now = clock();
+            prune(now);
+            const token = crypto.randomBytes(24).toString('base64url');
+            tokens.set(token, { apiKey, expiresAt: now + ttlMs });
+            return { token, expiresAt: now + ttlMs };
+        },
+        verify(token) {
+            const entry = tokens.get(token);
+            if (!entry) return null;
+            if (entry.expiresAt <= clock()) {
+                tokens.delete(token);
+                return null;
+            }
+            return entry;
+        }
+    };
+}
+
+// onReject(code) is called for every refused request (for metrics). disabled (AUTH=off)
+// lets everything through; otherwise, with no active keys, only reads are let through.
+function createAuth({ keyStore, disabled = false, rateLimiter = createRateLimiter(), streamTokens = createStreamTokens(), onReject = () => {} }) {
+    function reject(res, code, headers = {}) {
+        onReject(code);
+        res.set(headers).status(validationError(code).status).json({ success: false, ...validationError(code) });
+    }
+
+    return {
+        keyStore,
+        streamTokens,
+        require(role, { allowStreamToken = false } = {}) {
+            const requiredRank = ROLES.indexOf(role);
+            if (requiredRank === -1) throw new Error(`Unknown role "${role}".`);
+            if (allowStreamToken && role !== 'read') throw new Error('Stream tokens only grant read access.');
+            return (req, res, next) => {
+                if (disabled) return next();
+                if (keyStore.activeKeyCount() === 0) {
+                    return role === 'read' ? next() : reject(res, 'AUTH_NOT_CONFIGURED');
+                }
+                const viaToken = allowStreamToken && typeof req.query.token === 'string';
+                let record;
+                if (viaToken) {
+                    // A token stands in for the key it was issued to: that key must still be
+                    // active, and the request counts against its rate limit.
+                    const entry = streamTokens.verify(req.query.token);
+                    record = entry && entry.apiKey ? keyStore.findById(entry.apiKey.id) : null;
+                    if (!record) return reject(res, 'UNAUTHORIZED');
+                } else {
+                    const key = presentedKey(req);
+                    record = key ? keyStore.find(key) : null;
+                    if (!record) return reject(res, 'UNAUTHORIZED', { 'WWW-Authenticate': 'Bearer' });
+                }
+                const limit = rateLimiter.take(record.id, record.rateLimit || DEFAULT_RATE_LIMITS[record.role]);
+                if (!limit.allowed) return reject(res, 'RATE_LIMITED', { 'Retry-After': String(limit.retryAfterSeconds) });
+                if (ROLES.indexOf(record.role) < requiredRank) return reject(res, 'FORBIDDEN');
+                req.apiKey = { id: record.id, name: record.name, role: viaToken ? 'read' : record.role };
+                next();
+            };
+        }
+    };
+}
+
+// CORS_ORIGINS is a comma-separated allowlist; unset keeps the old allow-all behaviour.
+function parseCorsOrigins(raw) {
+    if (!raw || !raw.trim() || raw.trim() === '*') return '*';
+    return raw.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+
+// --- SECTION 5: CLI ---
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const args = { command, id: null, name: null, role: null, rateLimit: null, file: process.env.API_KEYS_PATH || DEFAULT_KEYS_PATH };
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--role') args.role = rest[++i];
+        else if (arg === '--name') args.name = rest[++i];
+        else if (arg === '--rate-limit') args.rateLimit = Number(rest[++i]);
+        else if (arg === '--file') args.file = rest[++i];
+        else if (!args.id) args.id = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (!['create', 'list', 'revoke'].includes(command)) {
+        throw new Error('Usage: node auth.js create --role read|ingest|admin --name <label> [--rate-limit N] | list | revoke <id>  [--file keys.json]');
+    }
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.command === 'create') {
+        const { key, record } = createKey(args.file, { name: args.name, role: args.role, rateLimit: args.rateLimit });
+        console.log(`Created ${record.role} key ${record.id} (${record.name}). It is shown only once:\n${key}`);
+    } else if (args.command === 'revoke') {
+        if (!args.id) throw new Error('Usage: node auth.js revoke <id>');
+        const record = revokeKey(args.file, args.id);
+        console.log(`Revoked key ${record.id} (${record.name}).`);
+    } else {
+        const data = readKeyFile(args.file);
+        if (!data || data.keys.length === 0) {
+            console.log(`No keys in ${args.file}.`);
+            return;
+        }
+        for (const record of data.keys) {
+            const limit = record.rateLimit || DEFAULT_RATE_LIMITS[record.role];
+            console.log(`${record.id}  ${record.role.padEnd(6)}  ${String(limit).padStart(5)}/min  ${record.revokedAt ? `revoked ${record.revokedAt}` : `created ${record.createdAt}`}  ${record.name}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_RATE_LIMITS,
+    DEFAULT_KEYS_PATH,
+    DEFAULT_AUDIT_LOG_PATH,
+    STREAM_TOKEN_TTL_MS,
+    hashKey,
+    createKey,
+    revokeKey,
+    createKeyStore,
+    createRateLimiter,
+    createAuditLog,
+    createStreamTokens,
+    createAuth,
+    describeActor,
+    parseCorsOrigins
+};
@@ -0,0 +1,201 @@
+// backtest.js - SEROX AI Offline Backtester
+// Replays a recorded result series through the live prediction cycle.
+// Usage: node backtest.js <results.json|results.csv> [--seed 42] [--config model.json] [--json]
+// =================================================================
+const fs = require('fs');
+const path = require('path');
+
+const { createSeededRandom } = require('./predictionLogic.js');
+const { createCycleState, runPredictionCycle } = require('./predictionCycle.js');
+const { wilsonInterval, binomialTest } = require('./statistics.js');
+
+const DEFAULT_SEED = 1;
+
+// --- SECTION 1: LOADING RESULT SERIES ---
+
+function normalizeResult(raw, where) {
+    const issueNumber = raw && raw.issueNumber !== undefined ? String(raw.issueNumber).trim() : '';
+    const number = raw ? Number(raw.number) : NaN;
+    if (!/^\d+$/.test(issueNumber)) throw new Error(`${where}: issueNumber must be a string of digits.`);
+    if (!Number.isInteger(number) || number < 0 || number > 9) throw new Error(`${where}: number must be an integer from 0 to 9.`);
+    return { issueNumber, number };
+}
+
+function parseJSONSeries(text) {
+    const parsed = JSON.parse(text);
+    // Accept a bare array, or the upstream list response as-is.
+    const rows = Array.isArray(parsed) ? parsed : (parsed?.data?.list || parsed?.list);
+    if (!Array.isArray(rows)) throw new Error('JSON input must be an array or contain data.list.');
+    return rows.map((row, i) => normalizeResult(row, `Entry ${i}`));
+}
+
+function parseCSVSeries(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+    const splitLine = line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    const header = splitLine(lines[0]).map(h => h.toLowerCase());
+    const issueIndex = header.indexOf('issuenumber');
+    const numberIndex = header.indexOf('number');
+    if (issueIndex === -1 || numberIndex === -1) throw new Error('CSV header must contain issueNumber and number columns.');
+    return lines.slice(1).map((line, i) => {
+        const cells = splitLine(line);
+        return normalizeResult({ issueNumber: cells[issueIndex], number: cells[numberIndex] }, `Line ${i + 2}`);
+    });
+}
+
+// Returns the series oldest-first with duplicate periods removed, whatever order the file used.
+function parseResultSeries(text, format) {
+    const rows = format === 'csv' ? parseCSVSeries(text) : parseJSONSeries(text);
+    const byPeriod = new Map();
+    for (const row of rows) byPeriod.set(row.issueNumber, row);
+    return [...byPeriod.values()].sort((a, b) => {
+        const diff = BigInt(a.issueNumber) - BigInt(b.issueNumber);
+        return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+    });
+}
+
+function loadResultSeries(filePath, format) {
+    const resolvedFormat = format || (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+    return parseResultSeries(fs.readFileSync(filePath, 'utf8'), resolvedFormat);
+}
+
+
+// --- SECTION 2: REPLAY ---
+
+// options.config is a model config (see predictionLogic.js); the first options.warmup
+// periods are replayed so the model can learn from them but their trades aren't scored.
+function runBacktest(series, options = {}) {
+    const seed = options.seed ?? DEFAULT_SEED;
+    const warmup = options.warmup ?? 0;
+    const state = createCycleState({ config: options.config || null, rng: createSeededRandom(seed) });
+    const trades = [];
+    series.forEach((result, index) => {
+        const { settlement } = runPredictionCycle(state, result);
+        if (settlement && index >= warmup) trades.push(settlement);
+    });
+
+    return { seed, periods: series.length, warmup, trades, summary: summarizeTrades(trades) };
+}
+
+
+// --- SECTION 3: SCORING ---
+
+function scoreGroup(trades) {
+    const wins = trades.filter(t => t.status === 'Win').length;
+    const losses = trades.filter(t => t.status === 'Loss').length;
+    const decided = wins + losses;
+    return {
+        trades: trades.length,
+        wins,
+        losses,
+        cooldowns: trades.length - decided,
+        hitRate: decided > 0 ? wins / decided : null,
+        wilson95: wilsonInterval(wins, decided),
+        binomialPValue: binomialTest(wins, decided, 0.5)
+    };
+}
+
+function longestRuns(trades) {
+    let longestWin = 0, longestLoss = 0, current = 0, currentStatus = null;
+    for (const trade of trades) {
+        if (trade.status !== 'Win' && trade.status !== 'Loss') continue;
+        current = trade.status === currentStatus ? current + 1 : 1;
+        currentStatus = trade.status;
+        if (currentStatus === 'Win') longestWin = Math.max(longestWin, current);
+        else longestLoss = Math.max(longestLoss, current);
+    }
+    return { longestWinRun: longestWin, longestLossRun: longestLoss };
+}
+
+function groupBy(trades, key) {
+    const groups = {};
+    for (const trade of trades) {
+        const value = String(trade[key]);
+        (groups[value] = groups[value] || []).push(trade);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([value, group]) => [value, scoreGroup(group)]));
+}
+
+function summarizeTrades(trades) {
+    return {
+        ...scoreGroup(trades),
+        ...longestRuns(trades),
+        byConfidenceLevel: groupBy(trades, 'confidenceLevel'),
+        bySystemHealth: groupBy(trades, 'systemHealth')
+    };
+}
+
+
+// --- SECTION 4: REPORTING & CLI ---
+
+function formatPercent(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatGroupLine(label, group) {
+    const ci = group.wilson95 ? `[${formatPercent(group.wilson95.lower)}, ${formatPercent(group.wilson95.upper)}]` : 'n/a';
+    const pValue = group.binomialPValue === null ? 'n/a' : group.binomialPValue.toFixed(4);
+    return `${label.padEnd(24)} ${String(group.wins).padStart(6)}W ${String(group.losses).padStart(6)}L  hit ${formatPercent(group.hitRate).padStart(7)}  95% CI ${ci}  p=${pValue}`;
+}
+
+function formatReport(report) {
+    const { summary } = report;
+    const lines = [
+        `SEROX AI backtest - ${report.periods} periods replayed, seed ${report.seed}`,
+        `Settled predictions: ${summary.trades} (${summary.cooldowns} cooldown)`,
+        formatGroupLine('Overall', summary),
+        `Longest win run: ${summary.longestWinRun}   Longest loss run: ${summary.longestLossRun}`,
+        '',
+        'By confidenceLevel:'
+    ];
+    for (const [level, group] of Object.entries(summary.byConfidenceLevel)) lines.push(formatGroupLine(`  level ${level}`, group));
+    lines.push('', 'By systemHealth:');
+    for (const [health, group] of Object.entries(summary.bySystemHealth)) lines.push(formatGroupLine(`  ${health}`, group));
+    return lines.join('\n');
+}
+
+function parseArgs(argv) {
+    const args = { file: null, seed: DEFAULT_SEED, json: false, format: null, config: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--format') args.format = argv[++i];
+        else if (arg === '--config') args.config = argv[++i];
+        else if (!args.file) args.file = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (!args.file) throw new Error('Usage: node backtest.js <results.json|results.csv> [--seed N] [--format json|csv] [--config model.json] [--json]');
+    if (!Number.isInteger(args.seed)) throw new Error('--seed must be an integer.');
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const series = loadResultSeries(args.file, args.format);
+    const config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : null;
+    const report = runBacktest(series, { seed: args.seed, config });
+    if (args.json) {
+        const { trades, ...rest } = report;
+        console.log(JSON.stringify(rest, null, 2));
+    } else {
+        console.log(formatReport(report));
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    parseResultSeries,
+    loadResultSeries,
+    runBacktest,
+    summarizeTrades,
+    formatReport
+};
@@ -0,0 +1,186 @@
+// calibration.js - SEROX AI Probability Calibration
+// Maps the core's raw confidence score onto an empirical win probability, using
+// every settled Win/Loss as a (score, outcome) sample.
+// =================================================================
+
+const CALIBRATION_METHODS = ['isotonic', 'platt'];
+const MIN_SAMPLES_TO_FIT = 50;
+const MAX_SAMPLES = 5000;
+// Refitting sorts (isotonic) or iterates over (Platt) every sample, so it happens once per
+// this many new samples rather than on each one.
+const REFIT_INTERVAL = 25;
+const PROBABILITY_FLOOR = 1e-3;
+
+function clampProbability(p) {
+    return Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, p));
+}
+
+// --- SECTION 1: FITTING ---
+
+// Pool-adjacent-violators: the best non-decreasing step function of raw -> win rate.
+function fitIsotonic(samples) {
+    const sorted = samples.slice().sort((a, b) => a.raw - b.raw);
+    const blocks = [];
+    for (const sample of sorted) {
+        blocks.push({ minRaw: sample.raw, sum: sample.won ? 1 : 0, count: 1 });
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.sum / previous.count < last.sum / last.count) break;
+            previous.sum += last.sum;
+            previous.count += last.count;
+            blocks.pop();
+        }
+    }
+    return {
+        type: 'isotonic',
+        thresholds: blocks.map(block => block.minRaw),
+        values: blocks.map(block => block.sum / block.count)
+    };
+}
+
+// Platt scaling: P(win) = sigmoid(a * raw + b), fitted by Newton's method on
+// Platt's smoothed targets so a perfectly separable sample can't blow up a and b.
+function fitPlatt(samples) {
+    const positives = samples.filter(s => s.won).length;
+    const negatives = samples.length - positives;
+    const targetWin = (positives + 1) / (positives + 2);
+    const targetLoss = 1 / (negatives + 2);
+    let a = 0, b = Math.log((positives + 1) / (negatives + 1));
+    for (let iteration = 0; iteration < 50; iteration++) {
+        let gA = 0, gB = 0, hAA = 1e-9, hAB = 0, hBB = 1e-9;
+        for (const sample of samples) {
+            const p = 1 / (1 + Math.exp(-(a * sample.raw + b)));
+            const t = sample.won ? targetWin : targetLoss;
+            const w = p * (1 - p);
+            gA += (p - t) * sample.raw;
+            gB += p - t;
+            hAA += w * sample.raw * sample.raw;
+            hAB += w * sample.raw;
+            hBB += w;
+        }
+        const determinant = hAA * hBB - hAB * hAB;
+        if (Math.abs(determinant) < 1e-12) break;
+        const stepA = (hBB * gA - hAB * gB) / determinant;
+        const stepB = (hAA * gB - hAB * gA) / determinant;
+        a -= stepA;
+        b -= stepB;
+        if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+    }
+    return { type: 'platt', a, b };
+}
+
+function fitCalibration(samples, method) {
+    if (samples.length < MIN_SAMPLES_TO_FIT) return null;
+    return method === 'platt' ? fitPlatt(samples) : fitIsotonic(samples);
+}
+
+function applyCalibration(model, raw) {
+    if (!model || typeof raw !== 'number' || !Number.isFinite(raw)) return null;
+    if (model.type === 'platt') return clampProbability(1 / (1 + Math.exp(-(model.a * raw + model.b))));
+    let low = 0, high = model.thresholds.length - 1, index = 0;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (model.thresholds[mid] <= raw) { index = mid; low = mid + 1; } else { high = mid - 1; }
+    }
+    return clampProbability(model.values[index]);
+}
+
+
+// --- SECTION 2: STATE ---
+
+function createCalibrationState(method = 'isotonic') {
+    if (!CALIBRATION_METHODS.includes(method)) {
+        throw new Error(`Unknown calibration method "${method}". Use ${CALIBRATION_METHODS.join(' or ')}.`);
+    }
+    return { method, samples: [], model: null, samplesSinceFit: 0 };
+}
+
+function refitCalibration(state) {
+    state.model = fitCalibration(state.samples, state.method);
+    state.samplesSinceFit = 0;
+}
+
+// calibrated is the probability that was shown when the prediction was made (null before
+// the first fit), which keeps the calibrated scores below honestly out-of-sample.
+function recordCalibrationSample(state, { period, raw, won, calibrated }) {
+    state.samples.push({ period, raw, won: Boolean(won), calibrated: calibrated ?? null });
+    if (state.samples.length > MAX_SAMPLES) state.samples.shift();
+    state.samplesSinceFit++;
+    // The first fit happens as soon as there are enough samples.
+    if (state.samples.length >= MIN_SAMPLES_TO_FIT && (state.model === null || state.samplesSinceFit >= REFIT_INTERVAL)) {
+        refitCalibration(state);
+    }
+}
+
+function restoreCalibrationState(state, snapshot) {
+    if (!snapshot) return state;
+    state.samples = Array.isArray(snapshot.samples) ? snapshot.samples.slice(-MAX_SAMPLES) : [];
+    refitCalibration(state);
+    return state;
+}
+
+
+// --- SECTION 3: SCORING ---
+
+function reliabilityBins(samples, key, binCount) {
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        lower: i / binCount, upper: (i + 1) / binCount, count: 0, meanPredicted: null, observedWinRate: null, _sum: 0, _wins: 0
+    }));
+    for (const sample of samples) {
+        const index = Math.min(binCount - 1, Math.max(0, Math.floor(sample[key] * binCount)));
+        bins[index].count++;
+        bins[index]._sum += sample[key];
+        bins[index]._wins += sample.won ? 1 : 0;
+    }
+    return bins.map(({ _sum, _wins, ...bin }) => ({
+        ...bin,
+        meanPredicted: bin.count > 0 ? _sum / bin.count : null,
+        observedWinRate: bin.count > 0 ? _wins / bin.count : null
+    }));
+}
+
+function scoreProbabilities(samples, key, binCount) {
+    const scored = samples.filter(sample => typeof sample[key] === 'number');
+    if (scored.length === 0) return { count: 0, brierScore: null, logLoss: null, bins: reliabilityBins([], key, binCount) };
+    let brier = 0, logLoss = 0;
+    for (const sample of scored) {
+        const p = clampProbability(sample[key]);
+        const y = sample.won ? 1 : 0;
+        brier += (sample[key] - y) * (sample[key] - y);
+        logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+    }
+    return {
+        count: scored.length,
+        brierScore: brier / scored.length,
+        logLoss: logLoss / scored.length,
+        bins: reliabilityBins(scored, key, binCount)
+    };
+}
+
+// raw treats the core's confidence score as if it were a probability, which is how the
+// dashboard used to present it; calibrated scores what was actually shown after fitting.
+function getCalibrationReport(state, binCount = 10) {
+    const wins = state.samples.filter(sample => sample.won).length;
+    return {
+        method: state.method,
+        sampleCount: state.samples.length,
+        minSamplesToFit: MIN_SAMPLES_TO_FIT,
+        refitInterval: REFIT_INTERVAL,
+        fitted: state.model !== null,
+        baseWinRate: state.samples.length > 0 ? wins / state.samples.length : null,
+        model: state.model,
+        raw: scoreProbabilities(state.samples, 'raw', binCount),
+        calibrated: scoreProbabilities(state.samples, 'calibrated', binCount)
+    };
+}
+
+module.exports = {
+    CALIBRATION_METHODS,
+    fitCalibration,
+    applyCalibration,
+    createCalibrationState,
+    recordCalibrationSample,
+    restoreCalibrationState,
+    getCalibrationReport
+};
@@ -0,0 +1,152 @@
+// diagnostics.js - SEROX AI Randomness Diagnostics
+// Tests whether the result history shows any structure a predictor could exploit.
+// Every test's null hypothesis is "the draws are independent and fair"; a low p-value
+// is evidence of structure.
+// =================================================================
+const { chiSquarePValue, twoSidedNormalPValue } = require('./statistics.js');
+
+const DEFAULT_DIAGNOSTICS_OPTIONS = {
+    window: 500,
+    alpha: 0.05,
+    maxLag: 10,
+    markovOrders: [1, 2],
+    minSamples: 100
+};
+const OUTCOMES = ['SMALL', 'BIG'];
+
+// --- SECTION 1: TESTS ---
+
+// Pearson chi-square goodness of fit of the 0-9 counts against a uniform distribution.
+function digitDistributionTest(numbers) {
+    const counts = new Array(10).fill(0);
+    for (const number of numbers) counts[number]++;
+    const expected = numbers.length / 10;
+    if (expected === 0) return null;
+    const statistic = counts.reduce((sum, count) => sum + ((count - expected) ** 2) / expected, 0);
+    return { counts, expected, statistic, df: 9, pValue: chiSquarePValue(statistic, 9) };
+}
+
+// Wald-Wolfowitz runs test: too few runs means streaks, too many means alternation.
+function runsTest(outcomes) {
+    const n1 = outcomes.filter(outcome => outcome === 'BIG').length;
+    const n2 = outcomes.length - n1;
+    const n = n1 + n2;
+    if (n1 === 0 || n2 === 0) return null;
+    let runs = 1;
+    for (let i = 1; i < n; i++) if (outcomes[i] !== outcomes[i - 1]) runs++;
+    const expectedRuns = (2 * n1 * n2) / n + 1;
+    const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+    if (!(variance > 0)) return null;
+    const z = (runs - expectedRuns) / Math.sqrt(variance);
+    return { big: n1, small: n2, runs, expectedRuns, z, pValue: twoSidedNormalPValue(z) };
+}
+
+// Sample autocorrelation of the numbers at lags 1..maxLag, with the Ljung-Box Q test
+// over all of them and the +/-1.96/sqrt(n) band for reading single lags.
+function autocorrelationTest(numbers, maxLag) {
+    const n = numbers.length;
+    if (n <= maxLag + 1) return null;
+    const mean = numbers.reduce((sum, x) => sum + x, 0) / n;
+    const denominator = numbers.reduce((sum, x) => sum + (x - mean) ** 2, 0);
+    if (denominator === 0) return null;
+    const band = 1.959963984540054 / Math.sqrt(n);
+    const lags = [];
+    let q = 0;
+    for (let k = 1; k <= maxLag; k++) {
+        let numerator = 0;
+        for (let t = k; t < n; t++) numerator += (numbers[t] - mean) * (numbers[t - k] - mean);
+        const r = numerator / denominator;
+        q += (r * r) / (n - k);
+        lags.push({ lag: k, r, outsideBand: Math.abs(r) > band });
+    }
+    const statistic = n * (n + 2) * q;
+    return { band, lags, ljungBox: { statistic, df: maxLag, pValue: chiSquarePValue(statistic, maxLag) } };
+}
+
+// Counts and probabilities of the next BIG/SMALL given the previous `order` outcomes,
+// with a chi-square test of independence between the state and the next outcome.
+function markovTransitions(outcomes, order) {
+    if (outcomes.length <= order) return null;
+    const transitions = {};
+    for (let i = order; i < outcomes.length; i++) {
+        const state = outcomes.slice(i - order, i).join('>');
+        transitions[state] = transitions[state] || { SMALL: 0, BIG: 0 };
+        transitions[state][outcomes[i]]++;
+    }
+    const states = Object.keys(transitions).sort();
+    const total = outcomes.length - order;
+    const columnTotals = Object.fromEntries(OUTCOMES.map(next => [next, states.reduce((sum, state) => sum + transitions[state][next], 0)]));
+    let statistic = 0;
+    for (const state of states) {
+        const rowTotal = transitions[state].SMALL + transitions[state].BIG;
+        for (const next of OUTCOMES) {
+            const expected = (rowTotal * columnTotals[next]) / total;
+            if (expected > 0) statistic += ((transitions[state][next] - expected) ** 2) / expected;
+        }
+    }
+    const df = (states.length - 1) * (OUTCOMES.filter(next => columnTotals[next] > 0).length - 1);
+    return {
+        order,
+        states: states.map(state => {
+            const rowTotal = transitions[state].SMALL + transitions[state].BIG;
+            return {
+                from: state,
+                count: rowTotal,
+                next: transitions[state],
+                probabilityBig: rowTotal > 0 ? transitions[state].BIG / rowTotal : null
+            };
+        }),
+        statistic,
+        df,
+        pValue: df > 0 ? chiSquarePValue(statistic, df) : null
+    };
+}
+
+
+// --- SECTION 2: REPORT ---
+
+// history is newest-first, as kept by the prediction cycle. Uses the latest `window`
+// settled numbers. With several tests run at once, structure is only claimed when a
+// p-value clears the Bonferroni-corrected alpha.
+function computeDiagnostics(history, options = {}) {
+    const { window, alpha, maxLag, markovOrders, minSamples } = { ...DEFAULT_DIAGNOSTICS_OPTIONS, ...options };
+    const numbers = history
+        .filter(entry => entry && entry.actual !== null && Number.isInteger(entry.actualNumber))
+        .slice(0, window)
+        .map(entry => entry.actualNumber)
+        .reverse();
+    const outcomes = numbers.map(number => (number >= 5 ? 'BIG' : 'SMALL'));
+
+    const report = {
+        sampleSize: numbers.length,
+        alpha,
+        digits: digitDistributionTest(numbers),
+        runs: runsTest(outcomes),
+        autocorrelation: autocorrelationTest(numbers, maxLag),
+        markov: markovOrders.map(order => markovTransitions(outcomes, order)).filter(Boolean)
+    };
+
+    const pValues = [
+        report.digits && report.digits.pValue,
+        report.runs && report.runs.pValue,
+        report.autocorrelation && report.autocorrelation.ljungBox.pValue,
+        ...report.markov.map(markov => markov.pValue)
+    ].filter(pValue => typeof pValue === 'number');
+    const correctedAlpha = pValues.length > 0 ? alpha / pValues.length : alpha;
+    const minPValue = pValues.length > 0 ? Math.min(...pValues) : null;
+
+    let verdict = 'NO_DETECTABLE_STRUCTURE';
+    if (numbers.length < minSamples || minPValue === null) verdict = 'INSUFFICIENT_DATA';
+    else if (minPValue < correctedAlpha) verdict = 'STRUCTURE_DETECTED';
+
+    return { ...report, testsRun: pValues.length, correctedAlpha, minPValue, verdict };
+}
+
+module.exports = {
+    DEFAULT_DIAGNOSTICS_OPTIONS,
+    digitDistributionTest,
+    runsTest,
+    autocorrelationTest,
+    markovTransitions,
+    computeDiagnostics
+};
@@ -0,0 +1,88 @@
+// events.js - SEROX AI Event Hub
+// Server-Sent Events fan-out with a replay buffer for Last-Event-ID reconnects.
+// =================================================================
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const CLIENT_RETRY_MS = 3000;
+
+// Event ids are "<bootId>.<sequence>" so a client reconnecting after a server restart
+// can be told its position is gone instead of silently missing events.
+function createEventHub(options = {}) {
+    const bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    const bootId = Date.now().toString(36);
+    const buffer = [];
+    const clients = new Set();
+    let sequence = 0;
+
+    function formatEvent(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+    }
+
+    function matches(client, event) {
+        return client.streamId === null || event.streamId === client.streamId;
+    }
+
+    function publish(type, streamId, data) {
+        sequence++;
+        const event = { id: `${bootId}.${sequence}`, type, streamId, timestamp: Date.now(), data };
+        buffer.push(event);
+        if (buffer.length > bufferSize) buffer.shift();
+        for (const client of clients) {
+            if (matches(client, event)) client.res.write(formatEvent(event));
+        }
+        return event;
+    }
+
+    // Returns the buffered events after lastEventId, or null if that position can't be replayed.
+    function eventsSince(lastEventId) {
+        const [eventBootId, rawSequence] = String(lastEventId).split('.');
+        const lastSequence = Number(rawSequence);
+        if (eventBootId !== bootId || !Number.isInteger(lastSequence)) return null;
+        const oldestSequence = buffer.length > 0 ? Number(buffer[0].id.split('.')[1]) : sequence + 1;
+        if (lastSequence < oldestSequence - 1) return null;
+        return buffer.filter(event => Number(event.id.split('.')[1]) > lastSequence);
+    }
+
+    // Express handler body: keeps the response open as an SSE stream, optionally filtered to one stream.
+    function subscribe(req, res, streamId = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        const client = { res, streamId };
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = eventsSince(lastEventId);
+            if (missed === null) {
+                res.write(`event: replay.incomplete\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+            } else {
+                for (const event of missed) {
+                    if (matches(client, event)) res.write(formatEvent(event));
+                }
+            }
+        }
+
+        clients.add(client);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        if (heartbeat.unref) heartbeat.unref();
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    }
+
+    return {
+        publish,
+        subscribe,
+        clientCount: () => clients.size
+    };
+}
+
+module.exports = {
+    createEventHub
+};
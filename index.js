@@ -1,127 +1,470 @@
 // index.js - SEROX AI Unified Server
 // VERSION 9.0 - Single Logic File Architecture
 // =================================================================
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { fileURLToPath } = require('url'); // This might not be needed with require
 
 // --- Core Application Imports ---
-const { ultraAIPredict, getBigSmallFromNumber } = require('./predictionLogic.js');
+const { runPredictionCycle, explainPrediction } = require('./predictionCycle.js');
+const { DEFAULT_WINDOWS, computeAdvisorStats } = require('./advisorStats.js');
+const { DEFAULT_LEADERBOARD_OPTIONS, parseShadowStrategies, computeLeaderboard } = require('./shadow.js');
+const { computeTargetStats } = require('./targetStats.js');
+const { configureMLTraining, configureModelDefaults } = require('./predictionLogic.js');
+const { createStorageFromEnv } = require('./storage.js');
+const { isValidStreamId, parseStreamDefinitions, createStreamRegistry } = require('./streams.js');
+const { createStreamIngestor } = require('./ingestion.js');
+const { createEventHub } = require('./events.js');
+const { getCalibrationReport } = require('./calibration.js');
+const { validationError, validateGameResult } = require('./validation.js');
+const { DEFAULT_DIAGNOSTICS_OPTIONS, computeDiagnostics } = require('./diagnostics.js');
+const { createLoggerFromEnv } = require('./logger.js');
+const { createMetricsRegistry, registerStreamMetrics } = require('./metrics.js');
+const { DEFAULT_KEYS_PATH, DEFAULT_AUDIT_LOG_PATH, createKeyStore, createAuditLog, createAuth, describeActor, parseCorsOrigins } = require('./auth.js');
 
 // --- Server Setup ---
 const app = express();
 const PORT = process.env.PORT || 3000;
+const logger = createLoggerFromEnv(process.env);
+const startedAt = Date.now();
+
+configureMLTraining({
+    ...(process.env.ML_LEARNING_RATE && { learningRate: Number(process.env.ML_LEARNING_RATE) }),
+    ...(process.env.ML_REGULARIZATION && { regularization: process.env.ML_REGULARIZATION }),
+    ...(process.env.ML_REGULARIZATION_STRENGTH && { regularizationStrength: Number(process.env.ML_REGULARIZATION_STRENGTH) }),
+});
+
+// Base advisor/orchestration config for every stream; PUT /config/models overrides it per stream.
+if (process.env.MODEL_CONFIG_PATH) {
+    configureModelDefaults(JSON.parse(fs.readFileSync(process.env.MODEL_CONFIG_PATH, 'utf8')));
+    logger.info("Loaded model config", { path: process.env.MODEL_CONFIG_PATH });
+}
 
 // Since we are using require, __dirname is available directly
 // const __filename = fileURLToPath(import.meta.url);
 // const __dirname = path.dirname(__filename);
 
 // --- Middleware ---
-app.use(cors({ origin: '*' }));
+app.use(cors({ origin: parseCorsOrigins(process.env.CORS_ORIGINS) }));
 app.use(express.json());
-// Serve static files (like index.html, css, js) from the 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
-
+app.use((error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') return next(error);
+    const rejection = validationError('INVALID_JSON');
+    if (req.method === 'POST' && req.path.endsWith('/predict')) predictErrors.inc({ status: rejection.status, code: rejection.code });
+    res.status(400).json({ success: false, ...rejection });
+});
 
-// --- In-Memory State ---
-let lastProcessedPeriod = null;
-let inMemoryHistory = [];
-let inMemorySharedStats = {};
-let inMemoryCurrentPrediction = null;
-const MAX_HISTORY_LENGTH = 150;
 
+// --- State & Persistence ---
+const SNAPSHOT_VERSION = 2;
+const streamRegistry = createStreamRegistry({
+    definitions: parseStreamDefinitions(process.env.STREAMS),
+    maxHistoryLength: process.env.HISTORY_LIMIT ? Number(process.env.HISTORY_LIMIT) : undefined,
+    calibrationMethod: process.env.CALIBRATION_METHOD || undefined,
+    shadowStrategies: parseShadowStrategies(process.env.SHADOW_STRATEGIES)
+});
+const storage = createStorageFromEnv(process.env);
 
-// --- API Endpoint ---
-app.post('/predict', async (req, res) => {
-    const { gameResult } = req.body;
-    if (!gameResult || !gameResult.issueNumber) {
-        return res.status(400).json({ success: false, message: "Missing gameResult in request body." });
+async function loadPersistedState() {
+    const snapshot = await storage.load();
+    if (!snapshot) return false;
+    if (snapshot.version === 1) {
+        // Single-stream snapshots predate stream ids: they belong to the default stream.
+        streamRegistry.restore({ [streamRegistry.defaultStreamId]: { cycle: { ...snapshot.cycle, model: snapshot.model } } });
+        return true;
     }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported state snapshot version ${snapshot.version}.`);
+    }
+    streamRegistry.restore(snapshot.streams);
+    return true;
+}
 
+async function persistState() {
     try {
-        const endedPeriodFull = gameResult.issueNumber.trim();
-        if (endedPeriodFull === lastProcessedPeriod) {
-            return res.json({
-                success: true,
-                message: "Period already processed.",
-                currentPrediction: inMemoryCurrentPrediction,
-                history: inMemoryHistory.slice(0, 50)
-            });
-        }
+        await storage.save({
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            streams: streamRegistry.serialize()
+        });
+    } catch (error) {
+        logger.error("Failed to persist state", { error });
+    }
+}
 
-        const actualNumber = Number(gameResult.number);
-        const actualResultType = getBigSmallFromNumber(actualNumber);
-        const previousSharedPrediction = inMemoryCurrentPrediction;
-
-        if (previousSharedPrediction && previousSharedPrediction.period === endedPeriodFull) {
-            let statusOfPreviousPrediction = 'Loss';
-            if (previousSharedPrediction.prediction === 'DEFENSIVE_MODE' || previousSharedPrediction.prediction === 'COOLDOWN') {
-                statusOfPreviousPrediction = 'Cooldown';
-            } else if (actualResultType === previousSharedPrediction.prediction) {
-                statusOfPreviousPrediction = 'Win';
-            }
-            const historyEntryToUpdate = inMemoryHistory.find(entry => entry.period === endedPeriodFull);
-            if(historyEntryToUpdate) {
-                historyEntryToUpdate.status = statusOfPreviousPrediction;
-            }
-            inMemorySharedStats.lastActualOutcome = actualNumber;
-            inMemorySharedStats.lastPredictedOutcome = previousSharedPrediction.prediction;
-            inMemorySharedStats.lastConfidenceLevel = previousSharedPrediction.confidenceLevel;
-        }
+const eventHub = createEventHub();
 
-        inMemoryHistory.unshift({
-            period: endedPeriodFull,
-            actual: actualNumber,
-            actualNumber: actualNumber,
-            resultType: actualResultType,
-            status: 'Pending',
-            timestamp: Date.now()
-        });
+// --- Metrics ---
+const metrics = createMetricsRegistry();
+const cycleDuration = metrics.histogram('serox_cycle_duration_seconds', 'Time spent in one settle-and-predict cycle.', ['stream']);
+const periodsProcessed = metrics.counter('serox_periods_processed_total', 'Results recorded, by whether they produced a new prediction or were inserted late.', ['stream', 'outcome']);
+const duplicateSubmissions = metrics.counter('serox_submissions_duplicate_total', 'Results submitted for a period that was already recorded.', ['stream']);
+const rejectedSubmissions = metrics.counter('serox_submissions_rejected_total', 'Results rejected by the cycle, by error code.', ['stream', 'code']);
+const predictErrors = metrics.counter('serox_predict_errors_total', 'POST /predict responses with an error status.', ['status', 'code']);
+registerStreamMetrics(metrics, () => streamRegistry.all());
+const sseClients = metrics.gauge('serox_sse_clients', 'Connected Server-Sent Events clients.');
+const authRejections = metrics.counter('serox_auth_rejections_total', 'Requests refused by API key checks, by error code.', ['code']);
+
+function settledEntries(stream) {
+    return stream.state.history.filter(entry => entry.actual !== null);
+}
+
+metrics.addCollector(() => {
+    sseClients.set({}, eventHub.clientCount());
+});
+
+// --- Access Control ---
+// API keys (see auth.js) are required on everything but /healthz, /readyz and the UI: read for
+// GETs, ingest to submit results, admin to change config or reset. Until a key exists only reads
+// are open; AUTH=off turns the checks off altogether.
+const authDisabled = process.env.AUTH === 'off';
+const keyStore = createKeyStore(process.env.API_KEYS_PATH || DEFAULT_KEYS_PATH);
+const auditLog = createAuditLog(process.env.AUDIT_LOG_PATH || DEFAULT_AUDIT_LOG_PATH, logger.child({ component: 'audit' }));
+const auth = createAuth({ keyStore, disabled: authDisabled, onReject: code => authRejections.inc({ code }) });
+const canRead = auth.require('read');
+const canIngest = auth.require('ingest');
+const isAdmin = auth.require('admin');
+const canSubscribe = auth.require('read', { allowStreamToken: true });
+
+// Every result, whether posted by a client or pulled by an ingestor, goes through here.
+// actor is who submitted it, for the audit log.
+async function processGameResult(stream, gameResult, actor) {
+    const previousHealth = stream.state.currentPrediction ? stream.state.currentPrediction.systemHealth : null;
+    const started = process.hrtime.bigint();
+    const outcome = runPredictionCycle(stream.state, gameResult);
+    cycleDuration.observe({ stream: stream.id }, Number(process.hrtime.bigint() - started) / 1e9);
+    auditLog.record('result.submitted', actor, {
+        streamId: stream.id,
+        period: gameResult.issueNumber,
+        number: gameResult.number,
+        outcome: outcome.outcome,
+        ...(outcome.rejection && { code: outcome.rejection.code })
+    });
+    if (outcome.outcome === 'duplicate') duplicateSubmissions.inc({ stream: stream.id });
+    if (outcome.rejection) rejectedSubmissions.inc({ stream: stream.id, code: outcome.rejection.code });
+    if (!outcome.processed) return outcome;
+    periodsProcessed.inc({ stream: stream.id, outcome: outcome.outcome });
+
+    await persistState();
+    if (outcome.outcome === 'inserted') return outcome;
+    if (outcome.settlement) {
+        eventHub.publish('period.settled', stream.id, outcome.settlement);
+    }
+    eventHub.publish('prediction.created', stream.id, outcome.currentPrediction);
+    if (outcome.currentPrediction.systemHealth !== previousHealth) {
+        eventHub.publish('health.changed', stream.id, { previous: previousHealth, current: outcome.currentPrediction.systemHealth });
+    }
+    return outcome;
+}
+
+// --- Server-Side Ingestion ---
+// Streams with a source are polled by the server (the dashboard no longer polls); INGEST=off turns that off.
+const ingestors = new Map();
+
+function startIngestion() {
+    if (process.env.INGEST === 'off') {
+        logger.warn("Server-side ingestion off (INGEST=off): results arrive only through POST /predict");
+        return;
+    }
+    for (const stream of streamRegistry.all()) {
+        if (!stream.source) continue;
+        const actor = { type: 'ingestion', source: stream.source.type };
+        const ingestor = createStreamIngestor(stream, result => processGameResult(stream, result, actor), logger.child({ component: 'ingestion' }));
+        ingestors.set(stream.id, ingestor);
+        ingestor.start();
+        logger.info("Ingesting stream", { streamId: stream.id, source: stream.source.type });
+    }
+}
 
-        if (inMemoryHistory.length > MAX_HISTORY_LENGTH) {
-            inMemoryHistory.pop();
+// Resolves :streamId (or the default stream on the legacy un-prefixed routes) before calling handler.
+// Only streams from STREAMS (or restored from storage) exist; anything else is a 404.
+function withStream(handler) {
+    return (req, res, next) => {
+        const streamId = req.params.streamId || streamRegistry.defaultStreamId;
+        if (!isValidStreamId(streamId)) {
+            return res.status(400).json({ success: false, message: "Invalid stream id." });
         }
+        const stream = streamRegistry.get(streamId);
+        if (!stream) {
+            return res.status(404).json({ success: false, message: `Unknown stream "${streamId}".` });
+        }
+        return handler(req, res, stream, next);
+    };
+}
 
-        lastProcessedPeriod = endedPeriodFull;
 
-        const aiDecision = ultraAIPredict(inMemoryHistory, inMemorySharedStats);
+// --- API Endpoints ---
+const streamRouter = express.Router({ mergeParams: true });
 
-        const nextPeriodToPredictFull = (BigInt(endedPeriodFull) + 1n).toString();
-        inMemoryCurrentPrediction = {
-            period: nextPeriodToPredictFull,
-            prediction: aiDecision.finalDecision,
-            confidence: aiDecision.finalConfidence ? Math.round(aiDecision.finalConfidence * 100) : 50,
-            confidenceLevel: aiDecision.confidenceLevel,
-            overallLogic: aiDecision.overallLogic,
-            source: aiDecision.source,
-            systemHealth: aiDecision.systemHealth,
-            timestamp: Date.now()
-        };
+// History as sent in list responses: traces are only served by /predictions/:period/explain.
+function listHistory(stream, limit) {
+    return stream.state.history.slice(0, limit).map(({ trace, ...entry }) => entry);
+}
+
+const PREDICT_OUTCOME_MESSAGES = {
+    predicted: "Prediction cycle complete.",
+    inserted: "Late result inserted into history; current prediction unchanged.",
+    duplicate: "Period already processed."
+};
 
+streamRouter.post('/predict', canIngest, withStream(async (req, res, stream) => {
+    const { value: gameResult, error } = validateGameResult(req.body && req.body.gameResult);
+    if (error) {
+        predictErrors.inc({ status: error.status, code: error.code });
+        return res.status(error.status).json({ success: false, ...error });
+    }
+
+    try {
+        const { outcome, rejection, currentPrediction } = await processGameResult(stream, gameResult, describeActor(req));
+        if (rejection) {
+            predictErrors.inc({ status: rejection.status, code: rejection.code });
+            return res.status(rejection.status).json({ success: false, ...rejection });
+        }
         res.json({
             success: true,
-            message: "Prediction cycle complete.",
-            currentPrediction: inMemoryCurrentPrediction,
-            history: inMemoryHistory.slice(0, 50)
+            outcome,
+            message: PREDICT_OUTCOME_MESSAGES[outcome],
+            streamId: stream.id,
+            currentPrediction,
+            history: listHistory(stream, 50)
         });
 
     } catch (error) {
-        console.error("Error in /predict endpoint:", error);
+        predictErrors.inc({ status: 500, code: 'INTERNAL_ERROR' });
+        logger.error("Error in /predict endpoint", { streamId: stream.id, error });
         res.status(500).json({ success: false, message: error.message || "Internal server error." });
     }
+}));
+
+streamRouter.get('/advisors/stats', canRead, withStream((req, res, stream) => {
+    let windows = DEFAULT_WINDOWS;
+    if (req.query.windows !== undefined) {
+        windows = String(req.query.windows).split(',').map(Number);
+        if (windows.some(size => !Number.isInteger(size) || size < 1 || size > 1000)) {
+            return res.status(400).json({ success: false, message: "windows must be a comma-separated list of integers between 1 and 1000." });
+        }
+    }
+    res.json({ success: true, streamId: stream.id, ...computeAdvisorStats(stream.state.history, windows) });
+}));
+
+// Every prediction target (bigSmall, digit, color, parity) scored over the settled periods.
+streamRouter.get('/targets/stats', canRead, withStream((req, res, stream) => {
+    const window = req.query.window === undefined ? null : Number(req.query.window);
+    if (window !== null && (!Number.isInteger(window) || window < 1 || window > 5000)) {
+        return res.status(400).json({ success: false, message: "window must be an integer between 1 and 5000." });
+    }
+    res.json({ success: true, streamId: stream.id, ...computeTargetStats(stream.state.history, window) });
+}));
+
+// The live model against the shadow strategies over the same settled periods.
+streamRouter.get('/leaderboard', canRead, withStream((req, res, stream) => {
+    const window = req.query.window === undefined ? DEFAULT_LEADERBOARD_OPTIONS.window : Number(req.query.window);
+    const alpha = req.query.alpha === undefined ? DEFAULT_LEADERBOARD_OPTIONS.alpha : Number(req.query.alpha);
+    if (window !== null && (!Number.isInteger(window) || window < 10 || window > 5000)) {
+        return res.status(400).json({ success: false, message: "window must be an integer between 10 and 5000." });
+    }
+    if (!(alpha > 0 && alpha < 1)) {
+        return res.status(400).json({ success: false, message: "alpha must be between 0 and 1." });
+    }
+    res.json({
+        success: true,
+        streamId: stream.id,
+        ...computeLeaderboard(stream.state.history, stream.state.shadow.names(), { window, alpha })
+    });
+}));
+
+streamRouter.get('/model/weights', canRead, withStream((req, res, stream) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > 500) {
+        return res.status(400).json({ success: false, message: "limit must be an integer between 0 and 500." });
+    }
+    res.json({ success: true, streamId: stream.id, ...stream.state.engine.getWeightsReport(limit) });
+}));
+
+streamRouter.get('/calibration', canRead, withStream((req, res, stream) => {
+    const bins = req.query.bins === undefined ? 10 : Number(req.query.bins);
+    if (!Number.isInteger(bins) || bins < 2 || bins > 50) {
+        return res.status(400).json({ success: false, message: "bins must be an integer between 2 and 50." });
+    }
+    res.json({ success: true, streamId: stream.id, ...getCalibrationReport(stream.state.calibration, bins) });
+}));
+
+streamRouter.get('/predictions/:period/explain', canRead, withStream((req, res, stream) => {
+    const explanation = explainPrediction(stream.state, req.params.period);
+    if (!explanation) {
+        return res.status(404).json({ success: false, message: `No prediction trace for period ${req.params.period}.` });
+    }
+    res.json({ success: true, streamId: stream.id, ...explanation });
+}));
+
+streamRouter.get('/diagnostics', canRead, withStream((req, res, stream) => {
+    const window = req.query.window === undefined ? DEFAULT_DIAGNOSTICS_OPTIONS.window : Number(req.query.window);
+    const maxLag = req.query.maxLag === undefined ? DEFAULT_DIAGNOSTICS_OPTIONS.maxLag : Number(req.query.maxLag);
+    const alpha = req.query.alpha === undefined ? DEFAULT_DIAGNOSTICS_OPTIONS.alpha : Number(req.query.alpha);
+    if (!Number.isInteger(window) || window < 10 || window > 5000) {
+        return res.status(400).json({ success: false, message: "window must be an integer between 10 and 5000." });
+    }
+    if (!Number.isInteger(maxLag) || maxLag < 1 || maxLag > 50) {
+        return res.status(400).json({ success: false, message: "maxLag must be an integer between 1 and 50." });
+    }
+    if (!(alpha > 0 && alpha < 1)) {
+        return res.status(400).json({ success: false, message: "alpha must be between 0 and 1." });
+    }
+    res.json({ success: true, streamId: stream.id, ...computeDiagnostics(stream.state.history, { window, maxLag, alpha }) });
+}));
+
+streamRouter.get('/config/models', canRead, withStream((req, res, stream) => {
+    res.json({ success: true, streamId: stream.id, ...stream.state.engine.describeConfig() });
+}));
+
+streamRouter.put('/config/models', isAdmin, withStream(async (req, res, stream) => {
+    try {
+        stream.state.engine.setConfig(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, ...validationError('INVALID_MODEL_CONFIG', 'config', { message: error.message }) });
+    }
+    auditLog.record('config.updated', describeActor(req), { streamId: stream.id, config: req.body });
+    await persistState();
+    res.json({ success: true, streamId: stream.id, ...stream.state.engine.describeConfig() });
+}));
+
+// Drops the stream's override so it follows the base config again.
+streamRouter.delete('/config/models', isAdmin, withStream(async (req, res, stream) => {
+    stream.state.engine.setConfig(null);
+    auditLog.record('config.cleared', describeActor(req), { streamId: stream.id });
+    await persistState();
+    res.json({ success: true, streamId: stream.id, ...stream.state.engine.describeConfig() });
+}));
+
+// Throws away the stream's history, learned weights and calibration (not its config override).
+streamRouter.post('/reset', isAdmin, withStream(async (req, res, stream) => {
+    const settled = settledEntries(stream).length;
+    streamRegistry.reset(stream.id);
+    auditLog.record('stream.reset', describeActor(req), { streamId: stream.id, settledPeriods: settled });
+    logger.warn("Stream reset", { streamId: stream.id, settledPeriods: settled, keyId: req.apiKey ? req.apiKey.id : null });
+    await persistState();
+    eventHub.publish('stream.reset', stream.id, { settledPeriods: settled });
+    res.json({ success: true, streamId: stream.id, message: `Stream reset; ${settled} settled periods discarded.` });
+}));
+
+// A short-lived read-only token for the events routes' ?token=, since EventSource can't send the key.
+app.post('/events/token', canRead, (req, res) => {
+    const { token, expiresAt } = auth.streamTokens.issue(req.apiKey || null);
+    res.json({ success: true, token, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+app.get('/events', canSubscribe, (req, res) => {
+    const streamId = req.query.stream || null;
+    if (streamId !== null && !streamRegistry.get(streamId)) {
+        return res.status(404).json({ success: false, message: `Unknown stream "${streamId}".` });
+    }
+    eventHub.subscribe(req, res, streamId);
+});
+
+app.get('/streams/:streamId/events', canSubscribe, withStream((req, res, stream) => {
+    eventHub.subscribe(req, res, stream.id);
+}));
+
+app.get('/ingestion', canRead, (req, res) => {
+    res.json({ success: true, ingestors: [...ingestors.values()].map(ingestor => ingestor.getStatus()) });
 });
 
+// --- Health, Readiness & Metrics ---
+let stateLoaded = false;
+
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+});
+
+// Ready once persisted state is loaded and every stream has MIN_HISTORY settled periods,
+// i.e. its predictions come from the model rather than a coin flip.
+app.get('/readyz', (req, res) => {
+    const streams = streamRegistry.all().map(stream => {
+        const settled = settledEntries(stream);
+        const minHistory = stream.state.engine.getSystemState().MIN_HISTORY;
+        const ingestor = ingestors.get(stream.id);
+        return {
+            id: stream.id,
+            settledPeriods: settled.length,
+            minHistory,
+            historyReady: settled.length >= minHistory,
+            lastProcessedPeriod: stream.state.lastProcessedPeriod,
+            lastResultAt: settled.length > 0 ? settled[0].timestamp : null,
+            lastIngestSuccessAt: ingestor ? ingestor.getStatus().lastSuccessAt : null
+        };
+    });
+    const ready = stateLoaded && streams.every(stream => stream.historyReady);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', stateLoaded, streams });
+});
+
+app.get('/metrics', canRead, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+app.get('/streams', canRead, (req, res) => {
+    res.json({ success: true, defaultStreamId: streamRegistry.defaultStreamId, streams: streamRegistry.list() });
+});
+
+app.get('/streams/:streamId', canRead, withStream((req, res, stream) => {
+    res.json({
+        success: true,
+        streamId: stream.id,
+        currentPrediction: stream.state.currentPrediction,
+        history: listHistory(stream, 50)
+    });
+}));
+
+// Newest first; filter with ?period=, ?stream=, ?key= (a key id) and ?action=.
+app.get('/audit', isAdmin, async (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ success: false, message: "limit must be an integer between 1 and 1000." });
+    }
+    const text = value => (typeof value === 'string' ? value : undefined);
+    try {
+        const entries = await auditLog.query({ period: text(req.query.period), streamId: text(req.query.stream), keyId: text(req.query.key), action: text(req.query.action), limit });
+        res.json({ success: true, entries });
+    } catch (error) {
+        logger.error("Could not read audit log", { path: auditLog.path, error });
+        res.status(500).json({ success: false, message: "Could not read the audit log." });
+    }
+});
+
+app.use('/streams/:streamId', streamRouter);
+app.use('/', streamRouter);
+
 // --- Root Endpoint to Serve the UI ---
 app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    // Only the dashboard itself: a static mount of this directory would expose the sources and data/.
+    res.sendFile(path.join(__dirname, 'index.html'));
 });
 
 
 // --- Start Server ---
-function startServer() {
+async function startServer() {
+    try {
+        const restored = await loadPersistedState();
+        stateLoaded = true;
+        logger.info(restored ? "Restored persisted state" : "No saved state found, starting fresh", {
+            storage: storage.name,
+            streams: streamRegistry.all().length
+        });
+    } catch (error) {
+        logger.error("Could not load persisted state", { storage: storage.name, error });
+        process.exit(1);
+    }
+    if (authDisabled) {
+        logger.warn("API key authentication disabled (AUTH=off)");
+    } else if (keyStore.activeKeyCount() > 0) {
+        logger.info("API key authentication enabled", { path: keyStore.path, activeKeys: keyStore.activeKeyCount() });
+    } else {
+        logger.warn("No API keys loaded: reads are open, ingest and admin requests are refused", { path: keyStore.path, hint: "node auth.js create --role admin --name <you>" });
+    }
     app.listen(PORT, () => {
-        console.log(`SEROX AI Unified Server running on port ${PORT}`);
+        logger.info("SEROX AI Unified Server running", { port: Number(PORT) });
+        startIngestion();
     });
 }
 
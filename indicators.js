@@ -0,0 +1,269 @@
+// indicators.js - SEROX AI Streaming Indicators
+// Indicators that take one number per period, oldest first, and update in O(1), so a
+// cycle costs the same however much history is kept. Each matches its batch counterpart
+// in predictionLogic.js over the same numbers (see test/streaming.test.js).
+// =================================================================
+
+// --- SECTION 1: INDICATORS ---
+// Every indicator is { update(x) => value, value }, with value null until it has enough data.
+
+// Seeded with the SMA of the first `period` values, like calculateEMA().
+function createEMA(period) {
+    const k = 2 / (period + 1);
+    let count = 0, sum = 0, value = null;
+    return {
+        update(x) {
+            count++;
+            if (count < period) sum += x;
+            else if (count === period) value = (sum + x) / period;
+            else value = (x * k) + (value * (1 - k));
+            return value;
+        },
+        get value() { return value; }
+    };
+}
+
+// Wilder's RSI: plain averages over the first `period` changes, then smoothed, like calculateRSI().
+function createRSI(period) {
+    let previous = null, changes = 0, gains = 0, losses = 0, avgGain = null, avgLoss = null;
+    const current = () => (avgGain === null ? null : avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss)));
+    return {
+        update(x) {
+            if (previous !== null) {
+                const change = x - previous;
+                changes++;
+                if (changes <= period) {
+                    if (change > 0) gains += change; else losses += Math.abs(change);
+                    if (changes === period) {
+                        avgGain = gains / period;
+                        avgLoss = losses / period;
+                    }
+                } else {
+                    avgGain = (avgGain * (period - 1) + (change > 0 ? change : 0)) / period;
+                    avgLoss = (avgLoss * (period - 1) + (change < 0 ? Math.abs(change) : 0)) / period;
+                }
+            }
+            previous = x;
+            return current();
+        },
+        get value() { return current(); }
+    };
+}
+
+// Mean and sample standard deviation of the last `period` values (calculateSMA/calculateStdDev),
+// from a running sum and sum of squares.
+function createRollingStats(period) {
+    const window = new Array(period);
+    let count = 0, sum = 0, sumOfSquares = 0;
+    const current = () => {
+        if (count < period) return null;
+        const mean = sum / period;
+        const stdDev = period < 2 ? null : Math.sqrt(Math.max(0, (sumOfSquares - sum * mean) / (period - 1)));
+        return { mean, stdDev };
+    };
+    return {
+        update(x) {
+            const slot = count % period;
+            if (count >= period) {
+                sum -= window[slot];
+                sumOfSquares -= window[slot] * window[slot];
+            }
+            window[slot] = x;
+            sum += x;
+            sumOfSquares += x * x;
+            count++;
+            return current();
+        },
+        get value() { return current(); }
+    };
+}
+
+// Stochastic %K of the latest value within the last `period`, like calculateStochasticK().
+// Monotonic deques keep the window's low and high without rescanning it.
+function createStochastic(period) {
+    const lows = [], highs = [];
+    let index = -1, latest = null;
+    const current = () => {
+        if (index < period - 1) return null;
+        const low = lows[0].x, high = highs[0].x;
+        return high === low ? null : 100 * ((latest - low) / (high - low));
+    };
+    return {
+        update(x) {
+            index++;
+            latest = x;
+            while (lows.length > 0 && lows[lows.length - 1].x >= x) lows.pop();
+            while (highs.length > 0 && highs[highs.length - 1].x <= x) highs.pop();
+            lows.push({ x, index });
+            highs.push({ x, index });
+            if (lows[0].index <= index - period) lows.shift();
+            if (highs[0].index <= index - period) highs.shift();
+            return current();
+        },
+        get value() { return current(); }
+    };
+}
+
+// Bands `width` standard deviations around the `period` SMA; percentB is where the latest
+// value sits (0 = lower band, 1 = upper band), null when the bands have collapsed.
+function createBollinger(period, width) {
+    const stats = createRollingStats(period);
+    let latest = null;
+    const current = () => {
+        const { value } = stats;
+        if (!value || value.stdDev === null) return null;
+        const lower = value.mean - width * value.stdDev;
+        const upper = value.mean + width * value.stdDev;
+        return { middle: value.mean, upper, lower, percentB: value.stdDev === 0 ? null : (latest - lower) / (2 * width * value.stdDev) };
+    };
+    return {
+        update(x) {
+            latest = x;
+            stats.update(x);
+            return current();
+        },
+        get value() { return current(); }
+    };
+}
+
+// MACD line (fast EMA - slow EMA) from the first period the slow EMA is seeded, and its
+// signal line, an EMA of the MACD line.
+function createMACD(fastPeriod, slowPeriod, signalPeriod) {
+    const fast = createEMA(fastPeriod), slow = createEMA(slowPeriod), signal = createEMA(signalPeriod);
+    let value = null;
+    return {
+        update(x) {
+            const fastValue = fast.update(x);
+            const slowValue = slow.update(x);
+            if (slowValue === null) return value;
+            const macd = fastValue - slowValue;
+            const signalValue = signal.update(macd);
+            value = { macd, signal: signalValue, histogram: signalValue === null ? null : macd - signalValue };
+            return value;
+        },
+        get value() { return value; }
+    };
+}
+
+// The latest RSI and the average of the last `averagePeriod` RSI values, the pair behind
+// the RSITrend advisor and the rsi_trend_strength feature.
+function createRSITrend(rsiPeriod, averagePeriod) {
+    const rsi = createRSI(rsiPeriod);
+    const average = createRollingStats(averagePeriod);
+    let value = null;
+    return {
+        update(x) {
+            const rsiValue = rsi.update(x);
+            if (rsiValue === null) return value;
+            const stats = average.update(rsiValue);
+            value = { rsi: rsiValue, average: stats ? stats.mean : null };
+            return value;
+        },
+        get value() { return value; }
+    };
+}
+
+const INDICATOR_FACTORIES = {
+    ema: createEMA,
+    rsi: createRSI,
+    stats: createRollingStats,
+    stochastic: createStochastic,
+    bollinger: createBollinger,
+    macd: createMACD,
+    rsiTrend: createRSITrend,
+};
+
+
+// --- SECTION 2: INDICATOR SET ---
+// The indicators one stream's predictions read, each created on first use and caught up
+// from the retained numbers. sync() takes the newest-first settled history: when it is the
+// previous one plus a newer period (and maybe minus the oldest row) only that period is fed
+// in; anything else rebuilds. After rewriting older rows (a late result), call invalidate().
+// Once the history is capped, the smoothed indicators (EMA, RSI, MACD) still carry the
+// geometrically fading weight of rows that have been dropped, so they differ from a batch
+// pass over the retained rows in the far decimals.
+
+function createIndicatorSet() {
+    let values = [];
+    let newestPeriod = null, rowCount = 0;
+    const entries = new Map();
+
+    function feed(entry, end) {
+        const x = values[end - entry.offset];
+        if (x !== undefined) entry.indicator.update(x);
+    }
+
+    function rebuild(numbers) {
+        values = numbers.slice().reverse();
+        entries.clear();
+    }
+
+    function lookup(offset, kind, args) {
+        const key = `${kind}:${args.join(',')}@${offset}`;
+        let entry = entries.get(key);
+        if (!entry) {
+            if (!INDICATOR_FACTORIES[kind]) throw new Error(`Unknown indicator "${kind}".`);
+            entry = { indicator: INDICATOR_FACTORIES[kind](...args), offset };
+            for (let end = 0; end < values.length; end++) feed(entry, end);
+            entries.set(key, entry);
+        }
+        return entry.indicator.value;
+    }
+
+    const set = {
+        sync(history) {
+            const newest = history.length > 0 ? history[0].period : undefined;
+            const appended = newest !== undefined && newestPeriod !== null && history.length > 1 && history[1].period === newestPeriod
+                && (history.length === rowCount + 1 || history.length === rowCount);
+            if (newest !== undefined && newest === newestPeriod && history.length === rowCount) return set;
+            if (appended) {
+                const x = history[0].actualNumber;
+                if (!isNaN(x)) {
+                    values.push(x);
+                    for (const entry of entries.values()) feed(entry, values.length - 1);
+                }
+                // Retain no more numbers than the history does: new indicators catch up from these.
+                while (values.length > history.length) values.shift();
+            } else {
+                rebuild(history.map(entry => entry.actualNumber).filter(n => !isNaN(n)));
+            }
+            newestPeriod = newest === undefined ? null : newest;
+            rowCount = history.length;
+            return set;
+        },
+        invalidate() {
+            values = [];
+            entries.clear();
+            newestPeriod = null;
+            rowCount = 0;
+            return set;
+        },
+        // Current value of an indicator, e.g. get('rsi', 14) or get('macd', 12, 26, 9).
+        get(kind, ...args) {
+            return lookup(0, kind, args);
+        },
+        // The same, computed as of `offset` periods ago.
+        getLagged(offset, kind, ...args) {
+            return lookup(offset, kind, args);
+        },
+        // The newest `count` numbers, newest first.
+        latest(count) {
+            return values.slice(-count).reverse();
+        },
+        size() {
+            return values.length;
+        }
+    };
+    return set;
+}
+
+module.exports = {
+    createEMA,
+    createRSI,
+    createRollingStats,
+    createStochastic,
+    createBollinger,
+    createMACD,
+    createRSITrend,
+    createIndicatorSet
+};
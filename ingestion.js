@@ -0,0 +1,327 @@
+// ingestion.js - SEROX AI Result Ingestion
+// The server pulls results itself through source adapters instead of relying on
+// an open browser tab. An adapter implements:
+//   name
+//   fetchLatest()              -> Promise<result[]>  the most recent results, any order
+//   fetchPage(pageNo, pageSize) -> Promise<result[]>  older results, newest page first (optional, enables backfill)
+// where result = { issueNumber: string, number: number }.
+// =================================================================
+const fs = require('fs');
+
+const { parseResultSeries } = require('./backtest.js');
+const { comparePeriods, isSuccessor, periodsBetween } = require('./periods.js');
+const { validateGameResult } = require('./validation.js');
+
+const UPSTREAM_RESULTS_URL = 'https://api.bdg88zf.com/api/webapi/GetNoaverageEmerdList';
+
+// --- SECTION 1: HELPERS ---
+
+function getPath(object, path) {
+    if (!path) return object;
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+// Oldest-first, one entry per period, invalid rows dropped.
+function sortUnique(results) {
+    const byPeriod = new Map();
+    for (const raw of results) {
+        const { value: result } = validateGameResult(raw);
+        if (result) byPeriod.set(result.issueNumber, result);
+    }
+    return [...byPeriod.values()].sort((a, b) => comparePeriods(a.issueNumber, b.issueNumber));
+}
+
+
+// --- SECTION 2: SOURCE ADAPTERS ---
+
+// Polls a JSON list endpoint. Defaults match the upstream GetNoaverageEmerdList API;
+// everything about the request and the response shape can be overridden.
+function createHttpPollAdapter(options = {}) {
+    const {
+        url = UPSTREAM_RESULTS_URL,
+        method = 'POST',
+        headers = { 'Content-Type': 'application/json' },
+        payload = {},
+        latestPageSize = 10,
+        listPath = 'data.list',
+        successPath = 'code',
+        successValue = 0,
+        fields = {},
+        timeoutMs = 10000
+    } = options;
+    const issueField = fields.issueNumber || 'issueNumber';
+    const numberField = fields.number || 'number';
+
+    async function request(pageNo, pageSize) {
+        const body = { ...payload, pageSize, pageNo };
+        const response = await fetch(method === 'GET' ? `${url}?${new URLSearchParams(body)}` : url, {
+            method,
+            headers,
+            body: method === 'GET' ? undefined : JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) throw new Error(`Upstream status ${response.status}`);
+        const data = await response.json();
+        if (successPath && getPath(data, successPath) !== successValue) {
+            throw new Error(`Upstream error: ${data.msg || data.message || 'unexpected response'}`);
+        }
+        const list = getPath(data, listPath);
+        if (!Array.isArray(list)) throw new Error(`Upstream response has no list at "${listPath}".`);
+        return list.map(row => ({ issueNumber: getPath(row, issueField), number: getPath(row, numberField) }));
+    }
+
+    return {
+        name: 'http',
+        fetchLatest: () => request(1, latestPageSize),
+        fetchPage: (pageNo, pageSize) => request(pageNo, pageSize)
+    };
+}
+
+// Reads a recorded JSON/CSV series. mode 'replay' hands out batchSize new results per
+// poll until the file is exhausted; mode 'tail' re-reads the file on every poll so
+// results appended by another process are picked up.
+function createFileAdapter(options = {}) {
+    const { filePath, format, mode = 'replay', batchSize = 1, tailSize = 50 } = options;
+    if (!filePath) throw new Error('File source needs a filePath.');
+    const resolvedFormat = format || (filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+    const readSeries = () => parseResultSeries(fs.readFileSync(filePath, 'utf8'), resolvedFormat);
+
+    if (mode === 'tail') {
+        return {
+            name: 'file-tail',
+            async fetchLatest() {
+                return readSeries().slice(-tailSize);
+            },
+            async fetchPage(pageNo, pageSize) {
+                const newestFirst = readSeries().reverse();
+                return newestFirst.slice((pageNo - 1) * pageSize, pageNo * pageSize);
+            }
+        };
+    }
+    if (mode !== 'replay') throw new Error(`Unknown file source mode "${mode}".`);
+
+    let series = null;
+    let cursor = 0;
+    return {
+        name: 'file-replay',
+        async fetchLatest() {
+            series = series || readSeries();
+            const batch = series.slice(cursor, cursor + batchSize);
+            cursor += batch.length;
+            return batch;
+        }
+    };
+}
+
+// In-memory source for tests: push() results, the next poll sees them.
+function createStubAdapter(initialResults = []) {
+    const all = [...initialResults];
+    let failuresToSimulate = 0;
+    return {
+        name: 'stub',
+        push(...results) {
+            all.push(...results);
+        },
+        failNext(count = 1) {
+            failuresToSimulate += count;
+        },
+        async fetchLatest() {
+            if (failuresToSimulate > 0) {
+                failuresToSimulate--;
+                throw new Error('Simulated stub failure');
+            }
+            return sortUnique(all).slice(-10);
+        },
+        async fetchPage(pageNo, pageSize) {
+            const newestFirst = sortUnique(all).reverse();
+            return newestFirst.slice((pageNo - 1) * pageSize, pageNo * pageSize);
+        }
+    };
+}
+
+function createSourceAdapter(source, streamDefinition = {}) {
+    switch (source.type) {
+        case 'http':
+            return createHttpPollAdapter({
+                ...source,
+                payload: { typeId: streamDefinition.typeId ?? undefined, ...source.payload }
+            });
+        case 'file':
+            return createFileAdapter(source);
+        case 'stub':
+            return createStubAdapter(source.results);
+        default:
+            throw new Error(`Unknown source type "${source.type}".`);
+    }
+}
+
+
+// --- SECTION 3: INGESTOR ---
+
+const DEFAULT_INGESTOR_OPTIONS = {
+    intervalMs: 30000,
+    backoffInitialMs: 5000,
+    backoffMaxMs: 5 * 60000,
+    backoffFactor: 2,
+    backfillPageSize: 10,
+    maxBackfillPages: 20,
+    initialBackfill: 0,
+    gapLogLimit: 50
+};
+
+// Drives one adapter for one stream. getLastPeriod() reports what the stream has already
+// processed and submit(result) feeds a result into it; results are always submitted
+// oldest-first and never twice.
+function createIngestor({ streamId, adapter, getLastPeriod, submit, logger = console, ...overrides }) {
+    const options = { ...DEFAULT_INGESTOR_OPTIONS, ...overrides };
+    let timer = null;
+    let running = false;
+    const status = {
+        streamId,
+        adapter: adapter.name,
+        running: false,
+        lastPollAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        nextPollAt: null,
+        ingested: 0,
+        backfilled: 0,
+        gaps: []
+    };
+
+    async function backfill(lastPeriod, wanted) {
+        if (typeof adapter.fetchPage !== 'function') return [];
+        const collected = [];
+        for (let pageNo = 1; pageNo <= options.maxBackfillPages; pageNo++) {
+            const page = sortUnique(await adapter.fetchPage(pageNo, options.backfillPageSize));
+            if (page.length === 0) break;
+            collected.push(...page);
+            const reachedKnown = lastPeriod !== null && comparePeriods(page[0].issueNumber, lastPeriod) <= 0;
+            if (reachedKnown || (lastPeriod === null && collected.length >= wanted)) break;
+        }
+        return collected;
+    }
+
+    function recordGaps(lastPeriod, results) {
+        let previous = lastPeriod;
+        for (const result of results) {
+            if (previous !== null && !isSuccessor(previous, result.issueNumber)) {
+                // missing is null when the gap spans a day rollover and can't be counted from the ids.
+                const missing = periodsBetween(previous, result.issueNumber);
+                const gap = { after: previous, before: result.issueNumber, missing: missing === null ? null : missing.toString(), detectedAt: Date.now() };
+                status.gaps.push(gap);
+                if (status.gaps.length > options.gapLogLimit) status.gaps.shift();
+                logger.warn('Gap in ingested periods', { streamId, after: gap.after, before: gap.before, missing: gap.missing });
+            }
+            previous = result.issueNumber;
+        }
+    }
+
+    function hasGap(lastPeriod, results) {
+        let previous = lastPeriod;
+        for (const result of results) {
+            if (previous !== null && !isSuccessor(previous, result.issueNumber)) return true;
+            previous = result.issueNumber;
+        }
+        return false;
+    }
+
+    async function pollOnce() {
+        status.lastPollAt = Date.now();
+        const lastPeriod = getLastPeriod();
+        let fresh = sortUnique(await adapter.fetchLatest())
+            .filter(result => lastPeriod === null || comparePeriods(result.issueNumber, lastPeriod) > 0);
+
+        const needsInitialBackfill = lastPeriod === null && options.initialBackfill > 0;
+        if (needsInitialBackfill || (fresh.length > 0 && hasGap(lastPeriod, fresh))) {
+            const older = await backfill(lastPeriod, options.initialBackfill);
+            const beforeCount = fresh.length;
+            fresh = sortUnique([...older, ...fresh])
+                .filter(result => lastPeriod === null || comparePeriods(result.issueNumber, lastPeriod) > 0);
+            if (needsInitialBackfill) fresh = fresh.slice(-Math.max(options.initialBackfill, beforeCount));
+            status.backfilled += Math.max(0, fresh.length - beforeCount);
+        }
+
+        recordGaps(lastPeriod, fresh);
+        let submitted = 0;
+        for (const result of fresh) {
+            // Another writer (e.g. POST /predict) may have moved the stream on while we awaited.
+            const current = getLastPeriod();
+            if (current !== null && comparePeriods(result.issueNumber, current) <= 0) continue;
+            await submit(result);
+            submitted++;
+        }
+        status.ingested += submitted;
+        return submitted;
+    }
+
+    function schedule(delayMs) {
+        if (!running) return;
+        status.nextPollAt = Date.now() + delayMs;
+        timer = setTimeout(tick, delayMs);
+        if (timer.unref) timer.unref();
+    }
+
+    async function tick() {
+        timer = null;
+        let delayMs = options.intervalMs;
+        try {
+            await pollOnce();
+            status.lastSuccessAt = Date.now();
+            status.lastError = null;
+            status.consecutiveFailures = 0;
+        } catch (error) {
+            status.consecutiveFailures++;
+            status.lastError = error.message;
+            delayMs = Math.min(options.backoffMaxMs, options.backoffInitialMs * Math.pow(options.backoffFactor, status.consecutiveFailures - 1));
+            logger.error('Ingestion poll failed', { streamId, consecutiveFailures: status.consecutiveFailures, retryInMs: delayMs, error });
+        }
+        schedule(delayMs);
+    }
+
+    return {
+        start() {
+            if (running) return;
+            running = true;
+            status.running = true;
+            schedule(0);
+        },
+        stop() {
+            running = false;
+            status.running = false;
+            status.nextPollAt = null;
+            if (timer) clearTimeout(timer);
+            timer = null;
+        },
+        pollOnce,
+        getStatus() {
+            return { ...status, gaps: status.gaps.slice() };
+        }
+    };
+}
+
+// Builds the ingestor for a stream whose definition carries a source config.
+function createStreamIngestor(stream, submit, logger = console) {
+    const tuning = Object.fromEntries(Object.keys(DEFAULT_INGESTOR_OPTIONS)
+        .filter(key => stream.source[key] !== undefined)
+        .map(key => [key, Number(stream.source[key])]));
+    return createIngestor({
+        streamId: stream.id,
+        adapter: createSourceAdapter(stream.source, stream),
+        getLastPeriod: () => stream.state.lastProcessedPeriod,
+        submit,
+        logger,
+        ...tuning
+    });
+}
+
+module.exports = {
+    UPSTREAM_RESULTS_URL,
+    createHttpPollAdapter,
+    createFileAdapter,
+    createStubAdapter,
+    createSourceAdapter,
+    createIngestor,
+    createStreamIngestor
+};
@@ -0,0 +1,48 @@
+// logger.js - SEROX AI Structured Logging
+// One JSON object per line on stdout: { time, level, msg, ...fields }.
+// Level comes from LOG_LEVEL (debug|info|warn|error, default info).
+// =================================================================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify, so they are expanded by hand.
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+    }
+    return value;
+}
+
+function createLogger(options = {}) {
+    const level = options.level || 'info';
+    if (!LOG_LEVELS[level]) throw new Error(`Unknown log level "${level}". Use ${Object.keys(LOG_LEVELS).join(', ')}.`);
+    const output = options.output || process.stdout;
+    const base = options.fields || {};
+
+    function write(entryLevel, message, fields = {}) {
+        if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg: message, ...base };
+        for (const [key, value] of Object.entries(fields)) entry[key] = serializeValue(value);
+        output.write(JSON.stringify(entry) + '\n');
+    }
+
+    return {
+        level,
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        // Same output and level, with extra fields on every line (e.g. { component: 'ingestion' }).
+        child: fields => createLogger({ level, output, fields: { ...base, ...fields } })
+    };
+}
+
+function createLoggerFromEnv(env = process.env) {
+    return createLogger({ level: env.LOG_LEVEL || 'info' });
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    createLoggerFromEnv
+};
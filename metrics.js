@@ -0,0 +1,146 @@
+// metrics.js - SEROX AI Metrics Registry
+// Counters, gauges and histograms rendered in the Prometheus text exposition format.
+// Values that are cheaper to read than to track (history sizes, weights) are filled in
+// by collectors registered with addCollector(), which run on every render().
+// =================================================================
+
+const DEFAULT_LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels);
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function createMetricsRegistry() {
+    const metrics = new Map();
+    const collectors = [];
+
+    function register(name, help, type, labelNames, extra = {}) {
+        if (metrics.has(name)) throw new Error(`Metric "${name}" is already registered.`);
+        const metric = { name, help, type, labelNames, series: new Map(), ...extra };
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    function seriesFor(metric, labels = {}, create) {
+        const picked = {};
+        for (const labelName of metric.labelNames) {
+            if (labels[labelName] === undefined) throw new Error(`Metric "${metric.name}" needs label "${labelName}".`);
+            picked[labelName] = labels[labelName];
+        }
+        const key = JSON.stringify(picked);
+        if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...create() });
+        return metric.series.get(key);
+    }
+
+    function counter(name, help, labelNames = []) {
+        const metric = register(name, help, 'counter', labelNames);
+        return {
+            inc(labels, amount = 1) {
+                if (amount < 0) throw new Error('Counters only go up.');
+                seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames = []) {
+        const metric = register(name, help, 'gauge', labelNames);
+        return {
+            set(labels, value) {
+                seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+            },
+            // Drops every series, so collectors can rebuild label sets that come and go.
+            reset() {
+                metric.series.clear();
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+        const metric = register(name, help, 'histogram', labelNames, { buckets: buckets.slice().sort((a, b) => a - b) });
+        return {
+            observe(labels, value) {
+                const series = seriesFor(metric, labels, () => ({ counts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0 }));
+                metric.buckets.forEach((bound, i) => {
+                    if (value <= bound) series.counts[i]++;
+                });
+                series.sum += value;
+                series.count++;
+            }
+        };
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                continue;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        addCollector(collect) {
+            collectors.push(collect);
+        },
+        render() {
+            for (const collect of collectors) collect();
+            return [...metrics.values()].map(renderMetric).join('\n') + '\n';
+        }
+    };
+}
+
+// Gauges read off each stream's cycle state (see streams.js) on every render.
+const ROLLING_WIN_RATE_WINDOW = 50;
+
+function registerStreamMetrics(metrics, listStreams) {
+    const rollingWinRate = metrics.gauge('serox_rolling_win_rate', `Win rate over the last ${ROLLING_WIN_RATE_WINDOW} settled Win/Loss predictions.`, ['stream']);
+    const settledPeriods = metrics.gauge('serox_history_settled_periods', 'Settled periods held in history.', ['stream']);
+    const defensiveMode = metrics.gauge('serox_defensive_mode', '1 while the current prediction is in DEFENSIVE_MODE, from a bad trend or the diagnostics gate.', ['stream']);
+    const mlFeatureWeight = metrics.gauge('serox_ml_feature_weight', 'Current learned weight of each ML feature.', ['stream', 'feature']);
+
+    metrics.addCollector(() => {
+        rollingWinRate.reset();
+        mlFeatureWeight.reset();
+        for (const stream of listStreams()) {
+            const labels = { stream: stream.id };
+            const { history, currentPrediction, engine } = stream.state;
+            const decided = history.filter(entry => entry.status === 'Win' || entry.status === 'Loss').slice(0, ROLLING_WIN_RATE_WINDOW);
+            if (decided.length > 0) rollingWinRate.set(labels, decided.filter(entry => entry.status === 'Win').length / decided.length);
+            settledPeriods.set(labels, history.filter(entry => entry.actual !== null).length);
+            defensiveMode.set(labels, currentPrediction && currentPrediction.systemHealth === 'DEFENSIVE_MODE' ? 1 : 0);
+            for (const [feature, weight] of Object.entries(engine.getWeights())) {
+                mlFeatureWeight.set({ ...labels, feature }, weight);
+            }
+        }
+    });
+}
+
+module.exports = {
+    DEFAULT_LATENCY_BUCKETS,
+    ROLLING_WIN_RATE_WINDOW,
+    createMetricsRegistry,
+    registerStreamMetrics
+};
@@ -0,0 +1,70 @@
+// periods.js - SEROX AI Period Ids
+// Ordering and succession of upstream issue numbers. Ids are digit strings too long for
+// Number, and most are date-prefixed ("20250101" + game code + daily counter), so the
+// period after the last one of a day is not id + 1.
+// =================================================================
+
+const PERIOD_ID_PATTERN = /^\d{1,32}$/;
+const DATE_PREFIX_LENGTH = 8;
+// The first counter of a day: at least two zeros, then 0 or 1 ("...10001", "...0000").
+const FIRST_OF_DAY_SUFFIX = /0{2,}[01]$/;
+
+function isValidPeriodId(periodId) {
+    return typeof periodId === 'string' && PERIOD_ID_PATTERN.test(periodId);
+}
+
+function comparePeriods(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+// Splits "YYYYMMDD<rest>" when the prefix is a real calendar date, otherwise null.
+function parseDatePrefix(periodId) {
+    if (periodId.length <= DATE_PREFIX_LENGTH + 1) return null;
+    const prefix = periodId.slice(0, DATE_PREFIX_LENGTH);
+    const year = Number(prefix.slice(0, 4)), month = Number(prefix.slice(4, 6)), day = Number(prefix.slice(6, 8));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (year < 2000 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return { date, suffix: periodId.slice(DATE_PREFIX_LENGTH) };
+}
+
+function isNextDay(previousDate, nextDate) {
+    return nextDate.getTime() - previousDate.getTime() === 24 * 60 * 60 * 1000;
+}
+
+// True when next is the period straight after previous: id + 1, or the first period of
+// the following day when the ids are date-prefixed.
+function isSuccessor(previous, next) {
+    if (BigInt(next) - BigInt(previous) === 1n) return true;
+    const before = parseDatePrefix(previous);
+    const after = parseDatePrefix(next);
+    if (!before || !after || before.suffix.length !== after.suffix.length) return false;
+    return isNextDay(before.date, after.date)
+        && BigInt(after.suffix) <= BigInt(before.suffix)
+        && FIRST_OF_DAY_SUFFIX.test(after.suffix);
+}
+
+// How many periods lie strictly between previous and next, or null when that can't be
+// told from the ids alone (a day boundary was crossed).
+function periodsBetween(previous, next) {
+    if (isSuccessor(previous, next)) return 0n;
+    const before = parseDatePrefix(previous);
+    const after = parseDatePrefix(next);
+    if (before && after && before.date.getTime() !== after.date.getTime()) return null;
+    const distance = BigInt(next) - BigInt(previous);
+    return distance > 0n ? distance - 1n : 0n;
+}
+
+// Best guess at the id of the upcoming period. Settlement does not depend on this being
+// right; it matches on isSuccessor instead (see predictionCycle.js).
+function nextPeriodId(periodId) {
+    return (BigInt(periodId) + 1n).toString().padStart(periodId.length, '0');
+}
+
+module.exports = {
+    isValidPeriodId,
+    comparePeriods,
+    isSuccessor,
+    periodsBetween,
+    nextPeriodId
+};
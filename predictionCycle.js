@@ -0,0 +1,253 @@
+// predictionCycle.js - SEROX AI Prediction Cycle
+// One settle-and-predict step, shared by POST /predict and the backtester.
+// =================================================================
+const { createPredictionEngine, getBigSmallFromNumber } = require('./predictionLogic.js');
+const { comparePeriods, isSuccessor, nextPeriodId } = require('./periods.js');
+const { validateGameResult, validationError } = require('./validation.js');
+const { applyCalibration, createCalibrationState, recordCalibrationSample, restoreCalibrationState } = require('./calibration.js');
+const { createShadowSet } = require('./shadow.js');
+
+const DEFAULT_MAX_HISTORY_LENGTH = 500;
+
+// options.config, options.clock and options.rng are handed to the prediction engine;
+// options.shadowStrategies lists the strategies run next to it (see shadow.js).
+function createCycleState(options = {}) {
+    const maxHistoryLength = options.maxHistoryLength ?? DEFAULT_MAX_HISTORY_LENGTH;
+    if (!Number.isInteger(maxHistoryLength) || maxHistoryLength < 1) {
+        throw new Error('maxHistoryLength must be a positive integer.');
+    }
+    const engine = createPredictionEngine(options.config ?? null, null, { clock: options.clock, rng: options.rng });
+    // A history shorter than MIN_HISTORY would keep the engine in INSUFFICIENT_HISTORY forever.
+    const { MIN_HISTORY } = engine.getSystemState();
+    if (maxHistoryLength < MIN_HISTORY) {
+        throw new Error(`maxHistoryLength (${maxHistoryLength}) must be at least MIN_HISTORY (${MIN_HISTORY}).`);
+    }
+    return {
+        maxHistoryLength,
+        engine,
+        calibration: createCalibrationState(options.calibrationMethod),
+        shadow: createShadowSet(options.shadowStrategies),
+        lastProcessedPeriod: null,
+        history: [],
+        currentPrediction: null
+    };
+}
+
+// Plain-JSON view of everything the cycle needs to resume after a restart.
+function serializeCycleState(state) {
+    return {
+        lastProcessedPeriod: state.lastProcessedPeriod,
+        history: state.history,
+        currentPrediction: state.currentPrediction,
+        engine: state.engine.getState(),
+        shadow: state.shadow.getState(),
+        calibration: { samples: state.calibration.samples }
+    };
+}
+
+function restoreCycleState(state, snapshot) {
+    if (!snapshot) return state;
+    state.lastProcessedPeriod = snapshot.lastProcessedPeriod ?? null;
+    state.history = Array.isArray(snapshot.history) ? snapshot.history.slice(0, state.maxHistoryLength) : [];
+    state.currentPrediction = snapshot.currentPrediction || null;
+    state.engine.loadState(snapshot.engine || legacyEngineState(snapshot));
+    state.shadow.loadState(snapshot.shadow);
+    restoreCalibrationState(state.calibration, snapshot.calibration);
+    return state;
+}
+
+// Snapshots from before the engine kept the model and sharedStats side by side.
+function legacyEngineState(snapshot) {
+    const { lastActualOutcome, lastPredictedOutcome, lastConfidenceLevel, longTermGlobalAccuracy } = snapshot.sharedStats || {};
+    const pending = snapshot.currentPrediction;
+    return {
+        model: snapshot.model,
+        stats: { lastActualOutcome, lastPredictedOutcome, lastConfidenceLevel, longTermGlobalAccuracy },
+        pending: pending ? { prediction: pending.prediction, confidenceLevel: pending.confidenceLevel } : null
+    };
+}
+
+// Marks each advisor's vote as a hit (true), a miss (false) or an abstention (null).
+function resolveAdvisorVotes(advisorVotes, actualResultType) {
+    const results = {};
+    for (const [name, vote] of Object.entries(advisorVotes)) {
+        results[name] = vote === null ? null : vote === actualResultType;
+    }
+    return results;
+}
+
+// Places a result older than lastProcessedPeriod into history by period order. It only
+// fills in the record; the current prediction and the learned model are left alone.
+function insertLateResult(state, result) {
+    const settledRows = state.history.filter(entry => entry.actual !== null);
+    const oldest = settledRows[settledRows.length - 1];
+    if (oldest && comparePeriods(result.issueNumber, oldest.period) < 0 && state.history.length >= state.maxHistoryLength) {
+        return { processed: false, outcome: 'rejected', rejection: validationError('STALE_PERIOD', 'gameResult.issueNumber', { oldestRetainedPeriod: oldest.period }), settlement: null, currentPrediction: state.currentPrediction };
+    }
+    const index = state.history.findIndex(entry => entry.actual !== null && comparePeriods(entry.period, result.issueNumber) < 0);
+    const row = {
+        period: result.issueNumber,
+        actual: result.number,
+        actualNumber: result.number,
+        resultType: getBigSmallFromNumber(result.number),
+        status: 'Late',
+        timestamp: Date.now()
+    };
+    state.history.splice(index === -1 ? state.history.length : index, 0, row);
+    // A full history makes room by dropping its oldest row; the late row is newer than that one.
+    while (state.history.length > state.maxHistoryLength) {
+        state.history.pop();
+    }
+    state.engine.invalidateIndicators();
+    state.shadow.invalidate();
+    return { processed: true, outcome: 'inserted', settlement: null, currentPrediction: state.currentPrediction };
+}
+
+// Feeds one ended period into the state. outcome is 'predicted' for a new period,
+// 'inserted' for a late one, 'duplicate' for a repeat and 'rejected' (with a rejection
+// carrying an error code) for anything that can't be recorded.
+function runPredictionCycle(state, gameResult) {
+    const { value: result, error } = validateGameResult(gameResult);
+    if (error) {
+        return { processed: false, outcome: 'rejected', rejection: error, settlement: null, currentPrediction: state.currentPrediction };
+    }
+    const endedPeriodFull = result.issueNumber;
+
+    const recorded = state.history.find(entry => entry.actual !== null && entry.period === endedPeriodFull);
+    if (recorded || endedPeriodFull === state.lastProcessedPeriod) {
+        if (recorded && recorded.actualNumber !== result.number) {
+            return { processed: false, outcome: 'rejected', rejection: validationError('CONFLICTING_RESULT', 'gameResult.number', { recordedNumber: recorded.actualNumber }), settlement: null, currentPrediction: state.currentPrediction };
+        }
+        return { processed: false, outcome: 'duplicate', settlement: null, currentPrediction: state.currentPrediction };
+    }
+    const lastPeriod = state.lastProcessedPeriod;
+    if (lastPeriod !== null && comparePeriods(endedPeriodFull, lastPeriod) < 0) {
+        return insertLateResult(state, result);
+    }
+
+    const actualNumber = result.number;
+    const actualResultType = getBigSmallFromNumber(actualNumber);
+    const previousSharedPrediction = state.currentPrediction;
+    let settlement = null;
+
+    // The predicted id is only a guess (it is wrong across a day rollover), so a prediction also
+    // settles on whichever period turns out to follow the one it was based on.
+    const settlesPrevious = previousSharedPrediction && (previousSharedPrediction.period === endedPeriodFull
+        || (lastPeriod !== null && previousSharedPrediction.basedOn === lastPeriod && isSuccessor(lastPeriod, endedPeriodFull)));
+
+    const settled = settlesPrevious ? state.engine.settle(endedPeriodFull, actualNumber) : null;
+    // Shadow strategies predicted the same period, so they settle exactly when the live model does.
+    const shadowResults = settled ? state.shadow.settle(endedPeriodFull, actualNumber) : null;
+    if (settled) {
+        const statusOfPreviousPrediction = settled.status;
+
+        if (typeof previousSharedPrediction.rawScore === 'number' && statusOfPreviousPrediction !== 'Cooldown') {
+            recordCalibrationSample(state.calibration, {
+                period: endedPeriodFull,
+                raw: previousSharedPrediction.rawScore,
+                won: statusOfPreviousPrediction === 'Win',
+                calibrated: previousSharedPrediction.winProbability
+            });
+        }
+
+        settlement = {
+            period: endedPeriodFull,
+            prediction: previousSharedPrediction.prediction,
+            confidence: previousSharedPrediction.confidence,
+            winProbability: previousSharedPrediction.winProbability ?? null,
+            confidenceLevel: previousSharedPrediction.confidenceLevel,
+            systemHealth: previousSharedPrediction.systemHealth,
+            actualNumber,
+            resultType: actualResultType,
+            status: statusOfPreviousPrediction,
+            targets: settled.targets
+        };
+    }
+
+    const predictedEntry = state.history.find(entry => entry.actual === null);
+    if (settlement && predictedEntry) predictedEntry.period = endedPeriodFull;
+
+    // A pending row only survives for the period it was predicted for.
+    state.history = state.history.filter(entry => entry.actual !== null || entry.period === endedPeriodFull);
+    const pendingEntry = state.history.find(entry => entry.actual === null);
+    const settledFields = {
+        actual: actualNumber,
+        actualNumber: actualNumber,
+        resultType: actualResultType,
+        status: settlement ? settlement.status : 'Pending',
+        timestamp: Date.now()
+    };
+    if (pendingEntry) {
+        Object.assign(pendingEntry, settledFields);
+        if (pendingEntry.advisorVotes) {
+            pendingEntry.advisorResults = resolveAdvisorVotes(pendingEntry.advisorVotes, actualResultType);
+        }
+        if (shadowResults) pendingEntry.shadowResults = shadowResults;
+        if (settlement) pendingEntry.targetResults = settlement.targets;
+    } else {
+        state.history.unshift({ period: endedPeriodFull, ...settledFields });
+    }
+
+    state.lastProcessedPeriod = endedPeriodFull;
+
+    const aiDecision = state.engine.predict(state.history);
+    const shadowPredictions = state.shadow.predict(state.history);
+
+    const nextPeriodToPredictFull = nextPeriodId(endedPeriodFull);
+    state.currentPrediction = {
+        period: nextPeriodToPredictFull,
+        basedOn: endedPeriodFull,
+        prediction: aiDecision.finalDecision,
+        confidence: aiDecision.finalConfidence ? Math.round(aiDecision.finalConfidence * 100) : 50,
+        rawScore: typeof aiDecision.finalConfidence === 'number' ? aiDecision.finalConfidence : null,
+        winProbability: applyCalibration(state.calibration.model, aiDecision.finalConfidence),
+        confidenceLevel: aiDecision.confidenceLevel,
+        overallLogic: aiDecision.overallLogic,
+        source: aiDecision.source,
+        systemHealth: aiDecision.systemHealth,
+        structureVerdict: aiDecision.structureVerdict ?? null,
+        targets: aiDecision.targets,
+        timestamp: Date.now()
+    };
+
+    state.history.unshift({
+        period: nextPeriodToPredictFull,
+        actual: null,
+        resultType: null,
+        prediction: state.currentPrediction.prediction,
+        confidence: state.currentPrediction.confidence,
+        winProbability: state.currentPrediction.winProbability,
+        confidenceLevel: state.currentPrediction.confidenceLevel,
+        targets: state.currentPrediction.targets,
+        advisorVotes: aiDecision.advisorVotes || null,
+        shadowPredictions,
+        mlFeatures: aiDecision.mlFeatures || null,
+        trace: aiDecision.trace || null,
+        status: 'Pending',
+        timestamp: state.currentPrediction.timestamp
+    });
+
+    while (state.history.length > state.maxHistoryLength) {
+        state.history.pop();
+    }
+
+    return { processed: true, outcome: 'predicted', settlement, currentPrediction: state.currentPrediction };
+}
+
+// The stored prediction for a period and the trace behind it, or null if history holds no
+// trace for it. The trace already carries the advisor votes and ML features.
+function explainPrediction(state, period) {
+    const entry = state.history.find(item => item.period === period);
+    if (!entry || !entry.trace) return null;
+    const { trace, advisorVotes, mlFeatures, ...prediction } = entry;
+    return { prediction, trace };
+}
+
+module.exports = {
+    DEFAULT_MAX_HISTORY_LENGTH,
+    createCycleState,
+    serializeCycleState,
+    restoreCycleState,
+    runPredictionCycle,
+    explainPrediction
+};
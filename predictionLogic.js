@@ -1,9 +1,30 @@
 // predictionLogic.js - SEROX AI Unified Consensus Core
 // VERSION 9.0 - Single-File Architecture
 // =================================================================
+const { computeDiagnostics } = require('./diagnostics.js');
+const { createIndicatorSet } = require('./indicators.js');
 
 // --- SECTION 1: CORE UTILITY FUNCTIONS ---
 
+// Randomness for ultraAIPredict() callers; engines take their own rng instead.
+let randomSource = Math.random;
+
+function setRandomSource(fn) {
+    randomSource = typeof fn === 'function' ? fn : Math.random;
+}
+
+// mulberry32 - small, fast and good enough for reproducible replays.
+function createSeededRandom(seed) {
+    let a = (Number(seed) >>> 0) || 0x9E3779B9;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 function getBigSmallFromNumber(number) {
     if (number === undefined || number === null) return null;
     const num = parseInt(number);
@@ -62,7 +83,7 @@ function calculateRSI(data, period) {
 
 // --- SECTION 2: STATE MANAGEMENT & EVOLUTION ---
 
-let systemState = {
+const DEFAULT_SYSTEM_STATE = {
     MIN_HISTORY: 100,
     BAD_TREND_THRESHOLD: 0.45,
     TARGET_ACCURACY: 0.54,
@@ -70,13 +91,28 @@ let systemState = {
     DEFENSIVE_MODE_ACTIVE: false,
 };
 
-let mlFeatureWeights = {
+const DEFAULT_ML_FEATURE_WEIGHTS = {
     rsi_strength: 1.5, rsi_is_overbought: -2.0, rsi_is_oversold: 2.0,
     macd_hist: 2.5, trend_strength_score: 3.0, bollinger_pct_reversal: -2.5,
-    last_move: 0.5, market_sentiment: 1.0, stochastic_k: -1.8, rsi_trend_strength: 1.0,
+    last_move: 0.5, stochastic_k: -1.8, rsi_trend_strength: 1.0,
 };
 
-function evolveSystemParameters(globalAccuracy) {
+// Everything the core learns or evolves lives in a model object, so each result
+// stream can own one. Callers that don't pass a model share defaultModel. baseConfig is
+// what the model follows without an override of its own; null follows the server-wide one.
+function createModelState(baseConfig = null) {
+    return {
+        systemState: { ...DEFAULT_SYSTEM_STATE, ...(baseConfig || getEffectiveModelConfig()).system },
+        mlFeatureWeights: { ...DEFAULT_ML_FEATURE_WEIGHTS },
+        mlWeightHistory: [],
+        lastTrainedPeriod: null,
+        config: null,
+        baseConfig,
+    };
+}
+
+function evolveSystemParameters(model, globalAccuracy) {
+    const { systemState } = model;
     if (globalAccuracy < systemState.TARGET_ACCURACY - 0.02) {
         systemState.BAD_TREND_THRESHOLD = Math.min(0.48, systemState.BAD_TREND_THRESHOLD + systemState.EVOLUTION_RATE);
     } else if (globalAccuracy > systemState.TARGET_ACCURACY + 0.02) {
@@ -84,31 +120,122 @@ function evolveSystemParameters(globalAccuracy) {
     }
 }
 
-function evolveMLWeights(history) {
-    const learningRate = 0.01;
-    const recentTrades = history.filter(p => p.mlFeatures && p.status).slice(0, 50);
-    if (recentTrades.length < 20) return;
+// Online logistic regression: P(BIG) = sigmoid(sum(weight * feature)), one SGD step per
+// settled period, oldest first, each period trained on exactly once.
+const DEFAULT_ML_TRAINING_CONFIG = {
+    learningRate: 0.05,
+    regularization: 'l2',
+    regularizationStrength: 0.001,
+    maxAbsWeight: 5.0,
+};
+const ML_WEIGHT_HISTORY_LIMIT = 500;
 
-    let adjustments = Object.keys(mlFeatureWeights).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+// Server-wide default; an engine created with options.training uses its own.
+let mlTrainingConfig = { ...DEFAULT_ML_TRAINING_CONFIG };
 
-    for (const trade of recentTrades) {
-        const wasCorrect = trade.status === "Win";
-        const wasBigPrediction = trade.lastPredictedOutcome === "BIG";
-        for (const key in trade.mlFeatures) {
-            if (mlFeatureWeights[key] === undefined) continue;
-            const featureValue = trade.mlFeatures[key];
-            const featureImpactIsBig = featureValue * mlFeatureWeights[key] > 0;
-            const wasFeatureAlignedWithPrediction = wasBigPrediction ? featureImpactIsBig : !featureImpactIsBig;
-            if (wasCorrect && wasFeatureAlignedWithPrediction) adjustments[key] += learningRate;
-            else if (!wasCorrect && wasFeatureAlignedWithPrediction) adjustments[key] -= learningRate;
-        }
+function normalizeTrainingConfig(options = {}, base = mlTrainingConfig) {
+    const next = { ...base, ...options };
+    if (!['none', 'l1', 'l2'].includes(next.regularization)) throw new Error("regularization must be 'none', 'l1' or 'l2'.");
+    for (const key of ['learningRate', 'regularizationStrength', 'maxAbsWeight']) {
+        if (typeof next[key] !== 'number' || !Number.isFinite(next[key]) || next[key] < 0) throw new Error(`${key} must be a non-negative number.`);
     }
+    return next;
+}
+
+function configureMLTraining(options = {}) {
+    mlTrainingConfig = normalizeTrainingConfig(options);
+    return { ...mlTrainingConfig };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function isNewerPeriod(period, reference) {
+    return reference === null || BigInt(period) > BigInt(reference);
+}
+
+function trainOnSample(model, features, label, training) {
+    const { mlFeatureWeights } = model;
+    const { learningRate, regularization, regularizationStrength, maxAbsWeight } = training;
+    let z = 0;
+    for (const key in mlFeatureWeights) z += mlFeatureWeights[key] * (features[key] || 0);
+    const probabilityBig = sigmoid(z);
+    const error = label - probabilityBig;
     for (const key in mlFeatureWeights) {
-        mlFeatureWeights[key] = Math.max(0.1, Math.min(5.0, mlFeatureWeights[key] + adjustments[key]));
+        let weight = mlFeatureWeights[key] + learningRate * error * (features[key] || 0);
+        if (regularization === 'l2') {
+            weight -= learningRate * regularizationStrength * weight;
+        } else if (regularization === 'l1') {
+            weight = Math.sign(weight) * Math.max(0, Math.abs(weight) - learningRate * regularizationStrength);
+        }
+        mlFeatureWeights[key] = Math.max(-maxAbsWeight, Math.min(maxAbsWeight, weight));
     }
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, probabilityBig));
+    return -(label * Math.log(p) + (1 - label) * Math.log(1 - p));
 }
 
-function detectBadTrend(history) {
+function evolveMLWeights(model, history, { clock, training }) {
+    const untrained = history
+        .filter(p => p.mlFeatures && (p.resultType === 'BIG' || p.resultType === 'SMALL') && isNewerPeriod(p.period, model.lastTrainedPeriod))
+        .reverse();
+    if (untrained.length === 0) return;
+
+    let totalLoss = 0;
+    for (const trade of untrained) {
+        totalLoss += trainOnSample(model, trade.mlFeatures, trade.resultType === 'BIG' ? 1 : 0, training);
+        model.lastTrainedPeriod = trade.period;
+    }
+    model.mlWeightHistory.push({
+        period: model.lastTrainedPeriod,
+        timestamp: clock(),
+        samples: untrained.length,
+        meanLogLoss: totalLoss / untrained.length,
+        weights: { ...model.mlFeatureWeights }
+    });
+    if (model.mlWeightHistory.length > ML_WEIGHT_HISTORY_LIMIT) model.mlWeightHistory.shift();
+}
+
+function getModelState(model = defaultModel) {
+    return {
+        systemState: { ...model.systemState },
+        mlFeatureWeights: { ...model.mlFeatureWeights },
+        mlWeightHistory: model.mlWeightHistory.slice(),
+        lastTrainedPeriod: model.lastTrainedPeriod,
+        config: model.config,
+    };
+}
+
+// Restores a getModelState() snapshot. Missing keys fall back to defaults so older snapshots still load.
+function loadModelState(state, model = defaultModel) {
+    resetModelState(model);
+    if (!state) return model;
+    model.systemState = { ...DEFAULT_SYSTEM_STATE, ...state.systemState };
+    // Only known features: weights for retired ones (e.g. market_sentiment) are dropped.
+    model.mlFeatureWeights = Object.fromEntries(Object.entries(DEFAULT_ML_FEATURE_WEIGHTS)
+        .map(([key, weight]) => [key, typeof state.mlFeatureWeights?.[key] === 'number' ? state.mlFeatureWeights[key] : weight]));
+    model.mlWeightHistory = Array.isArray(state.mlWeightHistory) ? state.mlWeightHistory.slice(-ML_WEIGHT_HISTORY_LIMIT) : [];
+    model.lastTrainedPeriod = state.lastTrainedPeriod ?? null;
+    try {
+        model.config = state.config ? normalizeModelConfig(state.config) : null;
+    } catch (error) {
+        // A stored override that no longer validates (e.g. an advisor was removed) falls back to the base config.
+        model.config = null;
+    }
+    return model;
+}
+
+function getMLWeightsReport(limit = ML_WEIGHT_HISTORY_LIMIT, model = defaultModel, training = mlTrainingConfig) {
+    return {
+        weights: { ...model.mlFeatureWeights },
+        initialWeights: { ...DEFAULT_ML_FEATURE_WEIGHTS },
+        training: { ...training },
+        lastTrainedPeriod: model.lastTrainedPeriod,
+        history: model.mlWeightHistory.slice(-limit)
+    };
+}
+
+function detectBadTrend(model, history) {
     const BAD_TREND_WINDOW = 30;
     if (!history || history.length < BAD_TREND_WINDOW) return false;
     const recentHistory = history.slice(0, BAD_TREND_WINDOW);
@@ -116,92 +243,84 @@ function detectBadTrend(history) {
     const losses = recentHistory.filter(p => p.status === "Loss").length;
     if (wins + losses < 15) return false;
     const accuracy = wins / (wins + losses);
-    return accuracy < systemState.BAD_TREND_THRESHOLD;
+    return accuracy < model.systemState.BAD_TREND_THRESHOLD;
 }
 
-function manageDefensiveMode(history) {
-    if (detectBadTrend(history)) systemState.DEFENSIVE_MODE_ACTIVE = true;
+function manageDefensiveMode(model, history) {
+    const { systemState } = model;
+    if (detectBadTrend(model, history)) systemState.DEFENSIVE_MODE_ACTIVE = true;
     const last3 = history.slice(0, 3).map(p => p.status);
     if (systemState.DEFENSIVE_MODE_ACTIVE && last3.length === 3 && last3.every(s => s === 'Win')) {
         systemState.DEFENSIVE_MODE_ACTIVE = false;
     }
 }
 
-// --- SECTION 3: MARKET SENTIMENT SIMULATION ---
-let marketEvents = [];
-const NEWS_EVENT_PROBABILITY = 0.05;
-const EVENT_IMPACT_DECAY_RATE = 0.90;
-
-function updateMarketSentiment() {
-    marketEvents = marketEvents.map(event => ({ ...event, impact: event.impact * EVENT_IMPACT_DECAY_RATE }))
-        .filter(event => Math.abs(event.impact) > 0.05);
-    if (Math.random() < NEWS_EVENT_PROBABILITY) {
-        marketEvents.push({ type: 'News', impact: Math.random() - 0.5 });
-    }
-}
+// --- SECTION 3: RESET ---
 
-function getMarketSentimentFactor() {
-    return marketEvents.reduce((acc, event) => acc + event.impact, 0);
+// Puts every piece of learned/evolved state back to its defaults (used between backtest runs).
+function resetModelState(model = defaultModel) {
+    Object.assign(model, createModelState(model.baseConfig));
+    return model;
 }
 
 
 // --- SECTION 4: ADVISORY PREDICTION MODELS ---
 
-function analyzeRSITrend(history, rsiPeriod = 14, rsiMAPeriod = 9) {
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < rsiPeriod + rsiMAPeriod) return null;
-    const rsiValues = [];
-    for (let i = rsiMAPeriod - 1; i >= 0; i--) {
-        const rsi = calculateRSI(numbers.slice(i), rsiPeriod);
-        if (rsi !== null) rsiValues.push(rsi); else return null;
-    }
-    const currentRSI = rsiValues[rsiValues.length - 1];
-    const rsiMA = calculateSMA(rsiValues, rsiMAPeriod);
-    if (currentRSI > rsiMA + 2) return { prediction: "BIG", source: "RSITrend" };
-    if (currentRSI < rsiMA - 2) return { prediction: "SMALL", source: "RSITrend" };
+// Advisors read the stream's indicator set (see indicators.js); callers without one get a
+// set built from history.
+
+function analyzeRSITrend(history, { rsiPeriod, rsiMAPeriod, threshold }, indicators = createIndicatorSet().sync(history)) {
+    const trend = indicators.get('rsiTrend', rsiPeriod, rsiMAPeriod);
+    if (!trend || trend.average === null) return null;
+    if (trend.rsi > trend.average + threshold) return { prediction: "BIG", source: "RSITrend" };
+    if (trend.rsi < trend.average - threshold) return { prediction: "SMALL", source: "RSITrend" };
     return null;
 }
 
-function analyzeStochastic(history, period = 14) {
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n)).slice(0, period);
-    if (numbers.length < period) return null;
-    const currentPrice = numbers[0];
-    const lowestLow = Math.min(...numbers);
-    const highestHigh = Math.max(...numbers);
-    if (highestHigh === lowestLow) return null;
-    const K = 100 * ((currentPrice - lowestLow) / (highestHigh - lowestLow));
-    if (K > 85) return { prediction: "SMALL", source: "Stochastic" };
-    if (K < 15) return { prediction: "BIG", source: "Stochastic" };
+function analyzeStochastic(history, { period, overbought, oversold }, indicators = createIndicatorSet().sync(history)) {
+    const K = indicators.get('stochastic', period);
+    if (K === null) return null;
+    if (K > overbought) return { prediction: "SMALL", source: "Stochastic" };
+    if (K < oversold) return { prediction: "BIG", source: "Stochastic" };
     return null;
 }
 
-function analyzeColorPatterns(history) {
-    const outcomes = history.map(p => getBigSmallFromNumber(p.actual)).slice(0, 10).reverse();
-    if (outcomes.length < 5) return null;
+function analyzeColorPatterns(history, { streakLength, breakLength, alternationLength }, indicators = createIndicatorSet().sync(history)) {
+    const lookback = Math.max(streakLength, breakLength, alternationLength);
+    // One letter per period ('B'/'S'), oldest first, so the patterns below can match.
+    const outcomes = indicators.latest(lookback).map(n => getBigSmallFromNumber(n).charAt(0)).reverse();
+    if (outcomes.length < lookback) return null;
     const sequence = outcomes.join('');
-    if (sequence.endsWith('BBBB')) return { prediction: 'BIG', source: 'Pattern:StreakCont' };
-    if (sequence.endsWith('SSSS')) return { prediction: 'SMALL', source: 'Pattern:StreakCont' };
-    if (sequence.endsWith('BBBBB')) return { prediction: 'SMALL', source: 'Pattern:StreakBreak' };
-    if (sequence.endsWith('SSSSS')) return { prediction: 'BIG', source: 'Pattern:StreakBreak' };
-    if (sequence.endsWith('BSBS')) return { prediction: 'BIG', source: 'Pattern:AltBreak' };
-    if (sequence.endsWith('SBSB')) return { prediction: 'SMALL', source: 'Pattern:AltBreak' };
+    const alternation = (first, second) => Array.from({ length: alternationLength }, (_, i) => (i % 2 === 0 ? first : second)).join('');
+    // A run long enough for both streak patterns is read by the longer one; otherwise the
+    // shorter pattern would always match first and the longer could never fire.
+    const streaks = [
+        { length: streakLength, follows: true, source: 'Pattern:StreakCont' },
+        { length: breakLength, follows: false, source: 'Pattern:StreakBreak' }
+    ].sort((a, b) => b.length - a.length);
+    for (const { length, follows, source } of streaks) {
+        if (sequence.endsWith('B'.repeat(length))) return { prediction: follows ? 'BIG' : 'SMALL', source };
+        if (sequence.endsWith('S'.repeat(length))) return { prediction: follows ? 'SMALL' : 'BIG', source };
+    }
+    if (sequence.endsWith(alternation('B', 'S'))) return { prediction: 'BIG', source: 'Pattern:AltBreak' };
+    if (sequence.endsWith(alternation('S', 'B'))) return { prediction: 'SMALL', source: 'Pattern:AltBreak' };
     return null;
 }
 
-function analyzeVolatilityBreakout(history, period = 20) {
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < period * 2) return null;
-    const recentVol = calculateStdDev(numbers.slice(0, period), period);
-    const priorVol = calculateStdDev(numbers.slice(period, period * 2), period);
-    if (recentVol === null || priorVol === null || priorVol === 0) return null;
-    if (recentVol > priorVol * 1.8) {
-        return { prediction: numbers[0] > numbers[1] ? "BIG" : "SMALL", source: "Volatility" };
+function analyzeVolatilityBreakout(history, { period, ratio }, indicators = createIndicatorSet().sync(history)) {
+    if (indicators.size() < period * 2) return null;
+    const recent = indicators.get('stats', period);
+    const prior = indicators.getLagged(period, 'stats', period);
+    if (!recent || !prior || recent.stdDev === null || prior.stdDev === null || prior.stdDev === 0) return null;
+    if (recent.stdDev > prior.stdDev * ratio) {
+        const [latest, previous] = indicators.latest(2);
+        return { prediction: latest > previous ? "BIG" : "SMALL", source: "Volatility" };
     }
     return null;
 }
 
-function analyzePriceAction(history) {
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n)).slice(0, 5);
+function analyzePriceAction(history, params, indicators = createIndicatorSet().sync(history)) {
+    const numbers = indicators.latest(5);
     if (numbers.length < 5) return null;
     const [p0, p1, p2, p3] = numbers;
     if (p0 > p2 && p1 > p3) return { prediction: 'BIG', source: 'PriceAction' };
@@ -209,39 +328,300 @@ function analyzePriceAction(history) {
     return null;
 }
 
-function analyzeMeanReversion(history, period = 20) {
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n)).slice(0, period);
-    if (numbers.length < period) return null;
-    const sma = calculateSMA(numbers, period);
-    const stdDev = calculateStdDev(numbers, period);
-    if (sma === null || stdDev === null) return null;
-    const zScore = (numbers[0] - sma) / stdDev;
-    if (zScore > 1.5) return { prediction: 'SMALL', source: 'MeanReversion' };
-    if (zScore < -1.5) return { prediction: 'BIG', source: 'MeanReversion' };
+function analyzeMeanReversion(history, { period, zScoreThreshold }, indicators = createIndicatorSet().sync(history)) {
+    const stats = indicators.get('stats', period);
+    if (!stats || stats.stdDev === null) return null;
+    const zScore = (indicators.latest(1)[0] - stats.mean) / stats.stdDev;
+    if (zScore > zScoreThreshold) return { prediction: 'SMALL', source: 'MeanReversion' };
+    if (zScore < -zScoreThreshold) return { prediction: 'BIG', source: 'MeanReversion' };
     return null;
 }
 
-function runAdvisoryModels(history, primaryPrediction) {
-    const models = [
-        analyzeRSITrend(history), analyzeStochastic(history),
-        analyzeColorPatterns(history), analyzeVolatilityBreakout(history),
-        analyzePriceAction(history), analyzeMeanReversion(history)
-    ];
-    const advisorySignals = models.filter(m => m !== null);
-    let agreeingModels = advisorySignals.filter(m => m.prediction === primaryPrediction).length;
+// Advisors must be registered before configureModelDefaults() runs; configs built earlier
+// don't know about later ones and leave them out. An advisor declares:
+//   name        unique id, used as the key in advisorVotes and in model configs
+//   params      { paramName: { default, min, max, integer? } }
+//   minHistory  settled periods needed before it may vote: a number, or params => number
+//   predict     (history, params, indicators) => { prediction: 'BIG'|'SMALL', source } | null
+const ADVISOR_REGISTRY = new Map();
+let baseModelConfig = null;
+
+function registerAdvisor(advisor) {
+    if (!advisor || typeof advisor.name !== 'string' || !advisor.name) throw new Error('Advisor needs a name.');
+    if (typeof advisor.predict !== 'function') throw new Error(`Advisor "${advisor.name}" needs a predict function.`);
+    if (ADVISOR_REGISTRY.has(advisor.name)) throw new Error(`Advisor "${advisor.name}" is already registered.`);
+    ADVISOR_REGISTRY.set(advisor.name, { params: {}, minHistory: 0, ...advisor });
+}
+
+registerAdvisor({
+    name: 'RSITrend',
+    params: {
+        rsiPeriod: { default: 14, min: 2, max: 100, integer: true },
+        rsiMAPeriod: { default: 9, min: 2, max: 100, integer: true },
+        threshold: { default: 2, min: 0, max: 50 }
+    },
+    minHistory: params => params.rsiPeriod + params.rsiMAPeriod,
+    predict: analyzeRSITrend
+});
+registerAdvisor({
+    name: 'Stochastic',
+    params: {
+        period: { default: 14, min: 2, max: 100, integer: true },
+        overbought: { default: 85, min: 50, max: 100 },
+        oversold: { default: 15, min: 0, max: 50 }
+    },
+    minHistory: params => params.period,
+    predict: analyzeStochastic
+});
+registerAdvisor({
+    name: 'ColorPatterns',
+    params: {
+        streakLength: { default: 4, min: 2, max: 20, integer: true },
+        breakLength: { default: 5, min: 2, max: 20, integer: true },
+        alternationLength: { default: 4, min: 2, max: 20, integer: true }
+    },
+    minHistory: params => Math.max(params.streakLength, params.breakLength, params.alternationLength),
+    predict: analyzeColorPatterns
+});
+registerAdvisor({
+    name: 'VolatilityBreakout',
+    params: {
+        period: { default: 20, min: 2, max: 200, integer: true },
+        ratio: { default: 1.8, min: 1, max: 10 }
+    },
+    minHistory: params => params.period * 2,
+    predict: analyzeVolatilityBreakout
+});
+registerAdvisor({
+    name: 'PriceAction',
+    minHistory: 5,
+    predict: analyzePriceAction
+});
+registerAdvisor({
+    name: 'MeanReversion',
+    params: {
+        period: { default: 20, min: 2, max: 200, integer: true },
+        zScoreThreshold: { default: 1.5, min: 0.1, max: 10 }
+    },
+    minHistory: params => params.period,
+    predict: analyzeMeanReversion
+});
+
+function getAdvisorNames() {
+    return [...ADVISOR_REGISTRY.keys()];
+}
+
+function getAdvisor(name) {
+    return ADVISOR_REGISTRY.get(name) || null;
+}
+
+function resolveMinHistory(advisor, params) {
+    return typeof advisor.minHistory === 'function' ? advisor.minHistory(params) : advisor.minHistory;
+}
+
+// Laplace-smoothed hit rate over the advisor's last `window` votes that have settled.
+function getAdvisorAccuracy(history, name, window) {
+    let hits = 0, fired = 0;
+    for (const entry of history) {
+        if (fired >= window) break;
+        const result = entry.advisorResults ? entry.advisorResults[name] : undefined;
+        if (result === null || result === undefined) continue;
+        fired++;
+        if (result) hits++;
+    }
+    return (hits + 1) / (fired + 2);
+}
+
+// Disabled advisors are left out of advisorVotes; enabled ones that abstain vote null.
+function runAdvisoryModels(history, primaryPrediction, config, indicators = createIndicatorSet().sync(history)) {
+    const { voting, accuracyWindow } = config.orchestration;
+    const advisorVotes = {};
+    const advisorySignals = [];
+    for (const advisor of ADVISOR_REGISTRY.values()) {
+        const settings = config.advisors[advisor.name];
+        if (!settings || !settings.enabled) continue;
+        const signal = history.length >= resolveMinHistory(advisor, settings.params) ? advisor.predict(history, settings.params, indicators) : null;
+        advisorVotes[advisor.name] = signal ? signal.prediction : null;
+        if (signal) {
+            const weight = voting === 'weighted' ? getAdvisorAccuracy(history, advisor.name, accuracyWindow) : 1;
+            advisorySignals.push({ ...signal, name: advisor.name, weight });
+        }
+    }
+    const agreeingModels = advisorySignals.filter(m => m.prediction === primaryPrediction).length;
     const totalAdvisors = advisorySignals.length;
-    const consensusScore = totalAdvisors > 0 ? (agreeingModels / totalAdvisors) : 0.5;
-    return { advisorySignals, consensusScore, agreeingModels, totalAdvisors };
+    const agreeingWeight = advisorySignals.filter(m => m.prediction === primaryPrediction).reduce((sum, m) => sum + m.weight, 0);
+    const totalWeight = advisorySignals.reduce((sum, m) => sum + m.weight, 0);
+    const consensusScore = totalWeight > 0 ? (agreeingWeight / totalWeight) : 0.5;
+    return { advisorySignals, advisorVotes, consensusScore, agreeingModels, totalAdvisors };
+}
+
+
+// --- SECTION 4B: MODEL CONFIGURATION ---
+// A model config parameterizes the advisors, the orchestrator, the starting systemState
+// and the indicator periods behind the ML features:
+//   { advisors: { <name>: { enabled, params: {...} } }, orchestration: {...}, system: {...}, features: {...} }
+// Anything left out takes its default. The server-wide base config comes from
+// configureModelDefaults() (call it before creating models); a model (i.e. a stream) may
+// carry its own override in model.config. tune.js writes files in this format.
+
+const ORCHESTRATION_SCHEMA = {
+    mlWeight: { default: 0.6, min: 0, max: 1 },
+    consensusWeight: { default: 0.4, min: 0, max: 1 },
+    defensivePenalty: { default: 0.7, min: 0, max: 1 },
+    confidenceLevelCutoff: { default: 0.55, min: 0, max: 1 },
+    voting: { default: 'count', values: ['count', 'weighted'] },
+    accuracyWindow: { default: 100, min: 5, max: 5000, integer: true },
+    // What to do when diagnostics find no detectable structure in the results:
+    // 'off' (the default) skips the diagnostics, 'defensive' applies the DEFENSIVE_MODE
+    // penalty and 'cooldown' sits the period out.
+    diagnosticsGate: { default: 'off', values: ['off', 'defensive', 'cooldown'] },
+    diagnosticsWindow: { default: 500, min: 100, max: 5000, integer: true },
+};
+
+// BAD_TREND_THRESHOLD is only the starting point: evolveSystemParameters() moves it within 0.42-0.48.
+const SYSTEM_SCHEMA = {
+    MIN_HISTORY: { default: DEFAULT_SYSTEM_STATE.MIN_HISTORY, min: 30, max: 1000, integer: true },
+    BAD_TREND_THRESHOLD: { default: DEFAULT_SYSTEM_STATE.BAD_TREND_THRESHOLD, min: 0.42, max: 0.48 },
+    TARGET_ACCURACY: { default: DEFAULT_SYSTEM_STATE.TARGET_ACCURACY, min: 0.4, max: 0.7 },
+    EVOLUTION_RATE: { default: DEFAULT_SYSTEM_STATE.EVOLUTION_RATE, min: 0, max: 0.05 },
+};
+
+const FEATURE_SCHEMA = {
+    rsiPeriod: { default: 14, min: 2, max: 50, integer: true },
+    rsiOverbought: { default: 70, min: 50, max: 100 },
+    rsiOversold: { default: 30, min: 0, max: 50 },
+    rsiTrendMAPeriod: { default: 9, min: 2, max: 50, integer: true },
+    macdFastPeriod: { default: 12, min: 2, max: 50, integer: true },
+    macdSlowPeriod: { default: 26, min: 3, max: 100, integer: true },
+    macdSignalPeriod: { default: 9, min: 2, max: 50, integer: true },
+    stochasticPeriod: { default: 14, min: 2, max: 100, integer: true },
+    bollingerPeriod: { default: 20, min: 2, max: 100, integer: true },
+    bollingerWidth: { default: 2, min: 0.5, max: 4 },
+    trendShortPeriod: { default: 5, min: 2, max: 50, integer: true },
+    trendMediumPeriod: { default: 10, min: 3, max: 100, integer: true },
+    trendLongPeriod: { default: 20, min: 4, max: 200, integer: true },
+};
+
+function checkSetting(path, value, schema, errors) {
+    if (schema.values) {
+        if (!schema.values.includes(value)) errors.push(`${path} must be one of ${schema.values.join(', ')}.`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < schema.min || value > schema.max) {
+        errors.push(`${path} must be a number from ${schema.min} to ${schema.max}.`);
+    } else if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be an integer.`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeSettings(path, raw, schema, errors) {
+    const settings = {};
+    if (raw !== undefined && !isPlainObject(raw)) {
+        errors.push(`${path} must be an object.`);
+        raw = {};
+    }
+    for (const key of Object.keys(raw || {})) {
+        if (!schema[key]) errors.push(`${path}.${key} is not a known setting.`);
+    }
+    for (const [key, setting] of Object.entries(schema)) {
+        const value = raw && raw[key] !== undefined ? raw[key] : setting.default;
+        checkSetting(`${path}.${key}`, value, setting, errors);
+        settings[key] = value;
+    }
+    return settings;
+}
+
+// Validates a (partial) model config and fills in defaults. Throws listing every problem.
+function normalizeModelConfig(raw = {}) {
+    if (!isPlainObject(raw)) throw new Error('Model config must be an object.');
+    const errors = [];
+    for (const key of Object.keys(raw)) {
+        if (!['advisors', 'orchestration', 'system', 'features'].includes(key)) errors.push(`"${key}" is not a known config section.`);
+    }
+    const rawAdvisors = raw.advisors === undefined ? {} : raw.advisors;
+    if (!isPlainObject(rawAdvisors)) errors.push('advisors must be an object.');
+    const advisors = {};
+    for (const name of Object.keys(isPlainObject(rawAdvisors) ? rawAdvisors : {})) {
+        if (!ADVISOR_REGISTRY.has(name)) errors.push(`advisors.${name} is not a registered advisor.`);
+    }
+    for (const advisor of ADVISOR_REGISTRY.values()) {
+        const entry = isPlainObject(rawAdvisors) && rawAdvisors[advisor.name] !== undefined ? rawAdvisors[advisor.name] : {};
+        if (!isPlainObject(entry)) {
+            errors.push(`advisors.${advisor.name} must be an object.`);
+            continue;
+        }
+        for (const key of Object.keys(entry)) {
+            if (!['enabled', 'params'].includes(key)) errors.push(`advisors.${advisor.name}.${key} is not a known setting.`);
+        }
+        if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') errors.push(`advisors.${advisor.name}.enabled must be true or false.`);
+        advisors[advisor.name] = {
+            enabled: entry.enabled !== false,
+            params: normalizeSettings(`advisors.${advisor.name}.params`, entry.params, advisor.params, errors)
+        };
+    }
+    const orchestration = normalizeSettings('orchestration', raw.orchestration, ORCHESTRATION_SCHEMA, errors);
+    const system = normalizeSettings('system', raw.system, SYSTEM_SCHEMA, errors);
+    const features = normalizeSettings('features', raw.features, FEATURE_SCHEMA, errors);
+    if (features.macdFastPeriod >= features.macdSlowPeriod) errors.push('features.macdFastPeriod must be below features.macdSlowPeriod.');
+    if (features.trendShortPeriod >= features.trendMediumPeriod || features.trendMediumPeriod >= features.trendLongPeriod) {
+        errors.push('features.trendShortPeriod, trendMediumPeriod and trendLongPeriod must be increasing.');
+    }
+    if (errors.length > 0) throw new Error(`Invalid model config: ${errors.join(' ')}`);
+    return { advisors, orchestration, system, features };
+}
+
+function configureModelDefaults(raw) {
+    baseModelConfig = normalizeModelConfig(raw);
+    return getEffectiveModelConfig();
+}
+
+function getEffectiveModelConfig(model = null) {
+    if (model && model.config) return model.config;
+    if (model && model.baseConfig) return model.baseConfig;
+    if (!baseModelConfig) baseModelConfig = normalizeModelConfig();
+    return baseModelConfig;
 }
 
+// Pass null to drop a model's override and fall back to the base config. The systemState
+// is re-seeded from the new config, so an evolved BAD_TREND_THRESHOLD starts over.
+function setModelConfig(model, raw) {
+    model.config = raw === null ? null : normalizeModelConfig(raw);
+    const config = getEffectiveModelConfig(model);
+    Object.assign(model.systemState, config.system);
+    return config;
+}
+
+// Config plus what each advisor accepts, for GET /config/models.
+function describeModelConfig(model = defaultModel) {
+    const config = getEffectiveModelConfig(model);
+    return {
+        source: model.config ? 'stream' : 'base',
+        config,
+        schema: {
+            orchestration: ORCHESTRATION_SCHEMA,
+            system: SYSTEM_SCHEMA,
+            features: FEATURE_SCHEMA,
+            advisors: [...ADVISOR_REGISTRY.values()].map(advisor => ({
+                name: advisor.name,
+                params: advisor.params,
+                minHistory: resolveMinHistory(advisor, config.advisors[advisor.name].params)
+            }))
+        }
+    };
+}
+
+// Declared after the registry and schemas that createModelState() reads its defaults from.
+const defaultModel = createModelState();
+
 // --- SECTION 5: PRIMARY LEARNING MODEL ---
 
-function getTrendContext(history, longMALookback = 20) {
-    const numbers = history.map(entry => entry.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < longMALookback) return { strength: "UNKNOWN", direction: "NONE" };
-    const shortMA = calculateEMA(numbers, 5);
-    const mediumMA = calculateEMA(numbers, 10);
-    const longMA = calculateEMA(numbers, longMALookback);
+function getTrendContext(indicators, shortPeriod = 5, mediumPeriod = 10, longMALookback = 20) {
+    if (indicators.size() < longMALookback) return { strength: "UNKNOWN", direction: "NONE" };
+    const shortMA = indicators.get('ema', shortPeriod);
+    const mediumMA = indicators.get('ema', mediumPeriod);
+    const longMA = indicators.get('ema', longMALookback);
     if (shortMA === null || mediumMA === null || longMA === null) return { strength: "UNKNOWN", direction: "NONE" };
     let direction = "NONE", strength = "WEAK";
     if (shortMA > mediumMA && mediumMA > longMA) { direction = "BIG"; strength = "STRONG"; }
@@ -250,113 +630,494 @@ function getTrendContext(history, longMALookback = 20) {
     return { strength, direction };
 }
 
-function createFeatureSetForML(history) {
-    const numbers = history.map(e => e.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < systemState.MIN_HISTORY) return null;
-    const trendContext = getTrendContext(history);
-    const rsiValue = calculateRSI(numbers, 14);
-    const macdLine = calculateEMA(numbers, 12) - calculateEMA(numbers, 26);
-    const signalLine = calculateEMA(numbers.map((_, i) => calculateEMA(numbers.slice(i), 12) - calculateEMA(numbers.slice(i), 26)).filter(n => n !== null), 9);
+// Batch versions of the feature indicators, kept as the reference the streaming ones in
+// indicators.js are tested against.
+function calculateRSITrendStrength(numbers, rsiPeriod = 14, rsiMAPeriod = 9) {
+    if (numbers.length < rsiPeriod + rsiMAPeriod) return 0;
+    const rsiValues = [];
+    for (let i = rsiMAPeriod - 1; i >= 0; i--) {
+        const rsi = calculateRSI(numbers.slice(i), rsiPeriod);
+        if (rsi === null) return 0;
+        rsiValues.push(rsi);
+    }
+    const rsiMA = calculateSMA(rsiValues, rsiMAPeriod);
+    return Math.max(-1, Math.min(1, (rsiValues[rsiValues.length - 1] - rsiMA) / 50));
+}
+
+function calculateStochasticK(numbers, period = 14) {
+    const window = numbers.slice(0, period);
+    if (window.length < period) return null;
+    const lowestLow = Math.min(...window);
+    const highestHigh = Math.max(...window);
+    if (highestHigh === lowestLow) return null;
+    return 100 * ((window[0] - lowestLow) / (highestHigh - lowestLow));
+}
+
+// %B of the latest number inside Bollinger bands (20-period, 2-sigma by default), centred on 0.
+function calculateBollingerPosition(numbers, period = 20, width = 2) {
+    const sma = calculateSMA(numbers, period);
+    const stdDev = calculateStdDev(numbers, period);
+    if (sma === null || stdDev === null || stdDev === 0) return 0;
+    const percentB = (numbers[0] - (sma - width * stdDev)) / (2 * width * stdDev);
+    return Math.max(-2, Math.min(2, (percentB - 0.5) * 2));
+}
+
+function createFeatureSetForML(model, history, params = getEffectiveModelConfig(model).features, indicators = createIndicatorSet().sync(history)) {
+    if (indicators.size() < model.systemState.MIN_HISTORY) return null;
+    const trendContext = getTrendContext(indicators, params.trendShortPeriod, params.trendMediumPeriod, params.trendLongPeriod);
+    const rsiValue = indicators.get('rsi', params.rsiPeriod);
+    const macd = indicators.get('macd', params.macdFastPeriod, params.macdSlowPeriod, params.macdSignalPeriod);
+    const stochasticK = indicators.get('stochastic', params.stochasticPeriod);
+    const bollinger = indicators.get('bollinger', params.bollingerPeriod, params.bollingerWidth);
+    const rsiTrend = indicators.get('rsiTrend', params.rsiPeriod, params.rsiTrendMAPeriod);
+    const [latest, previous] = indicators.latest(2);
     return {
         rsi_strength: rsiValue ? (rsiValue - 50) / 50 : 0,
-        rsi_is_overbought: rsiValue && rsiValue > 70 ? 1 : 0,
-        rsi_is_oversold: rsiValue && rsiValue < 30 ? -1 : 0,
-        macd_hist: macdLine && signalLine ? macdLine - signalLine : 0,
+        rsi_is_overbought: rsiValue && rsiValue > params.rsiOverbought ? 1 : 0,
+        rsi_is_oversold: rsiValue && rsiValue < params.rsiOversold ? -1 : 0,
+        macd_hist: macd && macd.histogram !== null ? macd.histogram : 0,
         trend_strength_score: trendContext.strength === 'STRONG' ? (trendContext.direction.includes('BIG') ? 1 : -1) : 0,
-        last_move: numbers[0] > numbers[1] ? 1 : -1,
+        bollinger_pct_reversal: bollinger && bollinger.percentB !== null ? Math.max(-2, Math.min(2, (bollinger.percentB - 0.5) * 2)) : 0,
+        last_move: latest > previous ? 1 : -1,
+        stochastic_k: stochasticK === null ? 0 : (stochasticK - 50) / 50,
+        rsi_trend_strength: rsiTrend && rsiTrend.average !== null ? Math.max(-1, Math.min(1, (rsiTrend.rsi - rsiTrend.average) / 50)) : 0,
     };
 }
 
-function analyzeUnifiedMLModel(features) {
+// Alongside the decision, returns each feature's signed contribution: a positive weight
+// pushes a positive feature value towards BIG, a negative weight towards SMALL.
+function analyzeUnifiedMLModel(model, features) {
     if (!features) return null;
+    const { mlFeatureWeights } = model;
     let bigScore = 0, smallScore = 0;
+    const contributions = {};
     for (const key in features) {
         if (mlFeatureWeights[key] !== undefined) {
             const weight = mlFeatureWeights[key];
             const featureValue = features[key];
-            if (weight > 0) {
-                if (featureValue > 0) bigScore += featureValue * weight;
-                else smallScore += Math.abs(featureValue * weight);
-            } else {
-                if (featureValue > 0) smallScore += featureValue * Math.abs(weight);
-                else bigScore += Math.abs(featureValue * Math.abs(weight));
-            }
+            const signed = featureValue * weight;
+            if (signed > 0) bigScore += signed;
+            else smallScore += Math.abs(signed);
+            contributions[key] = { value: featureValue, weight, contribution: signed, towards: signed > 0 ? 'BIG' : signed < 0 ? 'SMALL' : null };
         }
     }
     const totalScore = bigScore + smallScore;
     if (totalScore === 0) return null;
     const confidence = Math.abs(bigScore - smallScore) / totalScore;
     const prediction = bigScore > smallScore ? "BIG" : "SMALL";
-    return { prediction, confidence, source: "LearningML" };
+    return { prediction, confidence, source: "LearningML", bigScore, smallScore, contributions };
 }
 
 
 // --- SECTION 6: MAIN PREDICTION ORCHESTRATOR ---
 
-function ultraAIPredict(currentSharedHistory, sharedStatsPayload) {
+// One prediction from `model`. Apart from the learning it does on the model, it only
+// reads its inputs: stats are the settlement stats ({ lastActualOutcome, lastPredictedOutcome,
+// longTermGlobalAccuracy }), env supplies { clock, rng, training, indicators? }.
+function runConsensus(model, currentSharedHistory, stats, env) {
+    const { systemState } = model;
+    const config = getEffectiveModelConfig(model);
+    const { mlWeight, consensusWeight, defensivePenalty, confidenceLevelCutoff, diagnosticsGate, diagnosticsWindow } = config.orchestration;
+    const { BAD_TREND_THRESHOLD, ...fixedSystemState } = config.system;
+    Object.assign(systemState, fixedSystemState);
     const confirmedHistory = currentSharedHistory.filter(p => p && p.actual !== null && p.actualNumber !== undefined);
 
     if (confirmedHistory.length < systemState.MIN_HISTORY) {
-        return { finalDecision: Math.random() > 0.5 ? "BIG" : "SMALL", confidenceLevel: 1, source: "ConsensusCore-v9.0", systemHealth: "INSUFFICIENT_HISTORY" };
+        return {
+            finalDecision: env.rng() > 0.5 ? "BIG" : "SMALL", confidenceLevel: 1, source: "ConsensusCore-v9.0", systemHealth: "INSUFFICIENT_HISTORY",
+            trace: { outcome: "INSUFFICIENT_HISTORY", settledPeriods: confirmedHistory.length, thresholds: { ...systemState } }
+        };
     }
 
-    if (confirmedHistory.length % 5 === 0) {
-        if (sharedStatsPayload.longTermGlobalAccuracy) {
-            evolveSystemParameters(sharedStatsPayload.longTermGlobalAccuracy);
-        }
-        evolveMLWeights(confirmedHistory);
-        updateMarketSentiment();
+    if (confirmedHistory.length % 5 === 0 && stats.longTermGlobalAccuracy) {
+        evolveSystemParameters(model, stats.longTermGlobalAccuracy);
     }
+    evolveMLWeights(model, confirmedHistory, env);
 
-    const lastResult = sharedStatsPayload?.lastActualOutcome ? {
-        status: getBigSmallFromNumber(sharedStatsPayload.lastActualOutcome) === sharedStatsPayload.lastPredictedOutcome ? "Win" : "Loss"
-    } : null;
-
-    if (lastResult) {
-        manageDefensiveMode(confirmedHistory);
+    if (getLastResult(stats)) {
+        manageDefensiveMode(model, confirmedHistory);
     }
 
-    const mlFeatures = createFeatureSetForML(confirmedHistory);
-    const primaryModel = analyzeUnifiedMLModel(mlFeatures);
+    const indicators = (env.indicators || createIndicatorSet()).sync(confirmedHistory);
+    const mlFeatures = createFeatureSetForML(model, confirmedHistory, config.features, indicators);
+    const primaryModel = analyzeUnifiedMLModel(model, mlFeatures);
 
     if (!primaryModel) {
-        return { finalDecision: Math.random() > 0.5 ? "BIG" : "SMALL", confidenceLevel: 0, source: "ConsensusCore-v9.0", systemHealth: "MODEL_UNCERTAIN" };
+        return {
+            finalDecision: env.rng() > 0.5 ? "BIG" : "SMALL", confidenceLevel: 0, source: "ConsensusCore-v9.0", systemHealth: "MODEL_UNCERTAIN",
+            trace: { outcome: "MODEL_UNCERTAIN", features: mlFeatures, weights: { ...model.mlFeatureWeights }, thresholds: { ...systemState } }
+        };
     }
 
-    const { advisorySignals, consensusScore, agreeingModels, totalAdvisors } = runAdvisoryModels(confirmedHistory, primaryModel.prediction);
+    const { advisorySignals, advisorVotes, consensusScore, agreeingModels, totalAdvisors } = runAdvisoryModels(confirmedHistory, primaryModel.prediction, config, indicators);
+
+    const structureVerdict = diagnosticsGate !== 'off' ? computeDiagnostics(confirmedHistory, { window: diagnosticsWindow }).verdict : null;
+    const noStructure = structureVerdict === 'NO_DETECTABLE_STRUCTURE';
+    const cooldown = noStructure && diagnosticsGate === 'cooldown';
+    const defensive = systemState.DEFENSIVE_MODE_ACTIVE || (noStructure && diagnosticsGate === 'defensive');
 
-    let finalConfidence = primaryModel.confidence * (0.6 + (consensusScore * 0.4));
-    if (systemState.DEFENSIVE_MODE_ACTIVE) {
-        finalConfidence *= 0.7;
+    const consensusMultiplier = mlWeight + (consensusScore * consensusWeight);
+    let finalConfidence = primaryModel.confidence * consensusMultiplier;
+    if (defensive) {
+        finalConfidence *= defensivePenalty;
     }
 
-    let confidenceLevel = (finalConfidence > 0.55) ? 1 : 0;
-    if (systemState.DEFENSIVE_MODE_ACTIVE) {
+    let confidenceLevel = (finalConfidence > confidenceLevelCutoff) ? 1 : 0;
+    if (defensive || cooldown) {
         confidenceLevel = 0;
     }
 
     const output = {
-        finalDecision: primaryModel.prediction,
+        finalDecision: cooldown ? "COOLDOWN" : primaryModel.prediction,
         finalConfidence,
         confidenceLevel,
         overallLogic: "ConsensusCore-v9.0",
         source: `ML+${agreeingModels}/${totalAdvisors}_Advisors`,
-        systemHealth: systemState.DEFENSIVE_MODE_ACTIVE ? `DEFENSIVE_MODE` : "OK",
+        systemHealth: cooldown ? "COOLDOWN" : defensive ? `DEFENSIVE_MODE` : "OK",
+        structureVerdict,
+        advisorVotes,
+        mlFeatures,
+        trace: {
+            outcome: cooldown ? "COOLDOWN" : "PREDICTED",
+            features: mlFeatures,
+            ml: {
+                prediction: primaryModel.prediction,
+                confidence: primaryModel.confidence,
+                bigScore: primaryModel.bigScore,
+                smallScore: primaryModel.smallScore,
+                contributions: primaryModel.contributions
+            },
+            advisors: Object.fromEntries(Object.entries(advisorVotes).map(([name, vote]) => {
+                const signal = advisorySignals.find(s => s.name === name);
+                return [name, { vote, source: signal ? signal.source : null, weight: signal ? signal.weight : null, agrees: vote === null ? null : vote === primaryModel.prediction }];
+            })),
+            consensus: { voting: config.orchestration.voting, score: consensusScore, agreeing: agreeingModels, voted: totalAdvisors, mlWeight, consensusWeight, multiplier: consensusMultiplier },
+            defensive: {
+                active: defensive,
+                reason: systemState.DEFENSIVE_MODE_ACTIVE ? 'BAD_TREND' : defensive ? 'NO_STRUCTURE' : null,
+                penalty: defensive ? defensivePenalty : 1
+            },
+            diagnostics: { gate: diagnosticsGate, verdict: structureVerdict },
+            thresholds: { ...systemState, confidenceLevelCutoff },
+            finalConfidence,
+            confidenceLevel
+        },
     };
 
-    Object.assign(sharedStatsPayload, {
-        ...output,
-        lastPredictedOutcome: output.finalDecision,
-        mlFeatures: mlFeatures,
-        status: lastResult ? lastResult.status : 'Pending'
-    });
-    
     return output;
 }
 
-// --- SECTION 7: EXPORTS FOR NODE.JS SERVER ---
+function getLastResult(stats) {
+    return stats?.lastActualOutcome ? {
+        status: getBigSmallFromNumber(stats.lastActualOutcome) === stats.lastPredictedOutcome ? "Win" : "Loss"
+    } : null;
+}
+
+// Compatibility wrapper for callers that predate createPredictionEngine(): predicts with a
+// shared model and the module-level random source, then writes the summary back into
+// sharedStatsPayload as it always has.
+function ultraAIPredict(currentSharedHistory, sharedStatsPayload, model = defaultModel) {
+    const lastResult = getLastResult(sharedStatsPayload);
+    const output = runConsensus(model, currentSharedHistory, sharedStatsPayload || {}, { clock: Date.now, rng: randomSource, training: mlTrainingConfig });
+    if (sharedStatsPayload && output.systemHealth !== 'INSUFFICIENT_HISTORY' && output.systemHealth !== 'MODEL_UNCERTAIN') {
+        const { trace, ...summary } = output;
+        Object.assign(sharedStatsPayload, {
+            ...summary,
+            lastPredictedOutcome: output.finalDecision,
+            status: lastResult ? lastResult.status : 'Pending'
+        });
+    }
+    return output;
+}
+
+
+// --- SECTION 6B: PREDICTION TARGETS ---
+// What can be forecast about a drawn number. A target declares:
+//   name      key in currentPrediction.targets and in history rows
+//   outcomes  every outcome that can be bet on
+//   wins      (outcome, number) => whether a bet on outcome wins; this is the settlement rule,
+//             and an outcome can win on several numbers and a number settle several outcomes
+//             (5 is both GREEN and VIOLET)
+//   models    names from TARGET_MODELS; their probabilities are averaged
+// probabilities map each outcome to the probability that a bet on it wins, so they only sum
+// to 1 when exactly one outcome wins on every number. The predicted outcome is the most likely.
+
+const TARGET_MODEL_WINDOW = 100;
+const TARGET_MODEL_PRIOR = 10;
+const TARGET_REGISTRY = new Map();
+const DIGITS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+function getColorsFromNumber(number) {
+    const num = parseInt(number);
+    if (isNaN(num) || num < 0 || num > 9) return [];
+    if (num === 0) return ['RED', 'VIOLET'];
+    if (num === 5) return ['GREEN', 'VIOLET'];
+    return num % 2 === 1 ? ['GREEN'] : ['RED'];
+}
+
+function getParityFromNumber(number) {
+    const num = parseInt(number);
+    if (isNaN(num)) return null;
+    return num % 2 === 0 ? 'EVEN' : 'ODD';
+}
+
+function registerTarget(target) {
+    if (!target || typeof target.name !== 'string' || !target.name) throw new Error('Target needs a name.');
+    if (!Array.isArray(target.outcomes) || target.outcomes.length < 2) throw new Error(`Target "${target.name}" needs at least two outcomes.`);
+    if (typeof target.wins !== 'function') throw new Error(`Target "${target.name}" needs a wins function.`);
+    if (TARGET_REGISTRY.has(target.name)) throw new Error(`Target "${target.name}" is already registered.`);
+    for (const model of target.models || []) {
+        if (!TARGET_MODELS[model]) throw new Error(`Target "${target.name}" uses unknown model "${model}".`);
+    }
+    // There are only ten numbers, so the models work from these rather than calling wins().
+    const winningNumbers = Object.fromEntries(target.outcomes.map(outcome => [outcome, DIGITS.filter(n => target.wins(outcome, n))]));
+    const baseRates = Object.fromEntries(target.outcomes.map(outcome => [outcome, winningNumbers[outcome].length / DIGITS.length]));
+    const states = DIGITS.map(n => target.outcomes.filter(outcome => target.wins(outcome, n)).join('+'));
+    TARGET_REGISTRY.set(target.name, { models: ['frequency', 'markov'], ...target, winningNumbers, baseRates, states });
+}
+
+// Per-outcome win rates from per-number counts, shrunk towards the base rates.
+function smoothedWinRates(target, counts, total) {
+    return Object.fromEntries(target.outcomes.map(outcome => {
+        const wins = target.winningNumbers[outcome].reduce((sum, n) => sum + counts[n], 0);
+        return [outcome, (wins + TARGET_MODEL_PRIOR * target.baseRates[outcome]) / (total + TARGET_MODEL_PRIOR)];
+    }));
+}
+
+// Each model gets { target, numbers (settled, newest first), core (the consensus output) }
+// and returns { outcome: probability } or null when it has nothing to say.
+const TARGET_MODELS = {
+    // How often each outcome won over the window, shrunk towards its base rate.
+    frequency({ target, numbers }) {
+        const window = numbers.slice(0, TARGET_MODEL_WINDOW);
+        const counts = new Array(DIGITS.length).fill(0);
+        for (const n of window) counts[n]++;
+        return smoothedWinRates(target, counts, window.length);
+    },
+    // The same, counting only the draws that followed a number with the latest number's outcomes.
+    markov({ target, numbers }) {
+        if (numbers.length < 2) return null;
+        const current = target.states[numbers[0]];
+        const last = Math.min(numbers.length - 1, TARGET_MODEL_WINDOW);
+        const counts = new Array(DIGITS.length).fill(0);
+        let followers = 0;
+        for (let i = 1; i <= last; i++) {
+            if (target.states[numbers[i]] !== current) continue;
+            counts[numbers[i - 1]]++;
+            followers++;
+        }
+        return smoothedWinRates(target, counts, followers);
+    },
+    // P(BIG) from the learning model's logistic score, as it is trained in trainOnSample().
+    consensus({ core }) {
+        const ml = core && core.trace ? core.trace.ml : null;
+        if (!ml) return null;
+        const probabilityBig = sigmoid(ml.bigScore - ml.smallScore);
+        return { SMALL: 1 - probabilityBig, BIG: probabilityBig };
+    }
+};
+
+registerTarget({
+    name: 'bigSmall',
+    outcomes: ['SMALL', 'BIG'],
+    wins: (outcome, number) => getBigSmallFromNumber(number) === outcome,
+    // The consensus core decides this target; see predictTargets().
+    models: ['consensus']
+});
+registerTarget({
+    name: 'digit',
+    outcomes: DIGITS.map(String),
+    wins: (outcome, number) => String(number) === outcome
+});
+registerTarget({
+    name: 'color',
+    outcomes: ['GREEN', 'RED', 'VIOLET'],
+    wins: (outcome, number) => getColorsFromNumber(number).includes(outcome)
+});
+registerTarget({
+    name: 'parity',
+    outcomes: ['EVEN', 'ODD'],
+    wins: (outcome, number) => getParityFromNumber(number) === outcome
+});
+
+function getTargetNames() {
+    return [...TARGET_REGISTRY.keys()];
+}
+
+function getTarget(name) {
+    return TARGET_REGISTRY.get(name) || null;
+}
+
+// { name: { prediction, probabilities } } for every target. history is newest-first;
+// core is the consensus output for the same period, whose decision (COOLDOWN included) stands
+// as the bigSmall prediction so that target settles exactly like the live prediction.
+function predictTargets(history, core) {
+    const numbers = [];
+    for (const entry of history) {
+        if (numbers.length > TARGET_MODEL_WINDOW) break;
+        if (entry && entry.actual !== null && Number.isInteger(entry.actualNumber)) numbers.push(entry.actualNumber);
+    }
+    const predictions = {};
+    for (const target of TARGET_REGISTRY.values()) {
+        const used = target.models.map(name => TARGET_MODELS[name]({ target, numbers, core })).filter(Boolean);
+        const probabilities = Object.fromEntries(target.outcomes.map(outcome => [
+            outcome,
+            used.length > 0 ? used.reduce((sum, model) => sum + model[outcome], 0) / used.length : target.baseRates[outcome]
+        ]));
+        const mostLikely = target.outcomes.reduce((best, outcome) => (probabilities[outcome] > probabilities[best] ? outcome : best));
+        predictions[target.name] = {
+            prediction: target.name === 'bigSmall' && core ? core.finalDecision : mostLikely,
+            probabilities
+        };
+    }
+    return predictions;
+}
+
+// { name: { prediction, status, probability, brier } } for the drawn number: status is settled
+// with the target's rule (Cooldown for a no-trade decision), probability is what the winning
+// outcomes were given, and brier is the Brier score of the probabilities against them.
+function settleTargets(predictions, number) {
+    const settled = {};
+    for (const [name, predicted] of Object.entries(predictions || {})) {
+        const target = getTarget(name);
+        if (!target) continue;
+        let brier = 0, probability = 0;
+        for (const outcome of target.outcomes) {
+            const won = target.wins(outcome, number) ? 1 : 0;
+            const p = predicted.probabilities[outcome] ?? 0;
+            brier += (p - won) ** 2;
+            if (won) probability += p;
+        }
+        const status = NO_TRADE_DECISIONS.includes(predicted.prediction) ? 'Cooldown' : target.wins(predicted.prediction, number) ? 'Win' : 'Loss';
+        settled[name] = { prediction: predicted.prediction, status, probability, brier };
+    }
+    return settled;
+}
+
+
+// --- SECTION 7: PREDICTION ENGINE ---
+// An engine owns a model and the settlement stats the orchestrator reads, and gets its
+// clock and randomness from the caller, so two engines never share state and nothing
+// outside the engine is written to.
+//   config   model config override (see Section 4B); null follows the base config
+//   state    an engine.getState() snapshot to resume from
+//   options  { clock: () => ms, rng: () => [0, 1), training: {...} (see configureMLTraining),
+//              baseConfig: {...} (see configureModelDefaults) }
+// Without training or baseConfig the engine takes the server-wide ones as they are when it
+// is created; later configureMLTraining() / configureModelDefaults() calls don't reach it.
+
+const NO_TRADE_DECISIONS = ['DEFENSIVE_MODE', 'COOLDOWN'];
+
+// How a decision settles against the drawn number: Win, Loss, or Cooldown for a no-trade decision.
+function settleDecision(prediction, result) {
+    if (NO_TRADE_DECISIONS.includes(prediction)) return 'Cooldown';
+    return getBigSmallFromNumber(result) === prediction ? 'Win' : 'Loss';
+}
+
+function createPredictionEngine(config = null, state = null, options = {}) {
+    const clock = options.clock || Date.now;
+    const rng = options.rng || Math.random;
+    const training = options.training ? normalizeTrainingConfig(options.training, DEFAULT_ML_TRAINING_CONFIG) : { ...mlTrainingConfig };
+    const baseConfig = options.baseConfig ? normalizeModelConfig(options.baseConfig) : getEffectiveModelConfig();
+    const model = createModelState(baseConfig);
+    const indicators = createIndicatorSet();
+    let stats = {};
+    let pending = null;
+
+    const env = () => ({ clock, rng, training, indicators });
+
+    const engine = {
+        // history is newest-first, as kept by the prediction cycle, and is expected to grow
+        // by one period per call; see invalidateIndicators(). The decision stays pending
+        // until settle() is called.
+        predict(history) {
+            const output = runConsensus(model, history, stats, env());
+            output.targets = predictTargets(history, output);
+            pending = { prediction: output.finalDecision, confidenceLevel: output.confidenceLevel, targets: output.targets };
+            return output;
+        },
+
+        // Scores the pending decision, and every target's, against the number drawn for
+        // `period`; null when nothing is pending.
+        settle(period, result) {
+            if (!pending) return null;
+            const resultType = getBigSmallFromNumber(result);
+            const status = settleDecision(pending.prediction, result);
+            stats = { ...stats, lastActualOutcome: result, lastPredictedOutcome: pending.prediction, lastConfidenceLevel: pending.confidenceLevel };
+            const settled = { period, prediction: pending.prediction, confidenceLevel: pending.confidenceLevel, actualNumber: result, resultType, status, targets: settleTargets(pending.targets, result) };
+            pending = null;
+            return settled;
+        },
+
+        getState() {
+            return { model: getModelState(model), stats: { ...stats }, pending: pending && { ...pending } };
+        },
+
+        // For when rows older than the newest were added or changed (a late result).
+        invalidateIndicators() {
+            indicators.invalidate();
+        },
+
+        loadState(snapshot) {
+            indicators.invalidate();
+            loadModelState(snapshot && snapshot.model, model);
+            stats = snapshot && snapshot.stats ? { ...snapshot.stats } : {};
+            pending = snapshot && snapshot.pending ? { ...snapshot.pending } : null;
+            return engine;
+        },
+
+        getConfig: () => getEffectiveModelConfig(model),
+        setConfig: raw => setModelConfig(model, raw),
+        describeConfig: () => describeModelConfig(model),
+        getSystemState: () => ({ ...model.systemState }),
+        getWeights: () => ({ ...model.mlFeatureWeights }),
+        getWeightsReport: limit => getMLWeightsReport(limit, model, training),
+    };
+
+    if (state) engine.loadState(state);
+    if (config) setModelConfig(model, config);
+    return engine;
+}
+
+
+// --- SECTION 8: EXPORTS FOR NODE.JS SERVER ---
 
 module.exports = {
+    createPredictionEngine,
+    settleDecision,
     ultraAIPredict,
-    getBigSmallFromNumber
+    getBigSmallFromNumber,
+    getColorsFromNumber,
+    getParityFromNumber,
+    registerTarget,
+    getTargetNames,
+    getTarget,
+    predictTargets,
+    settleTargets,
+    calculateSMA,
+    calculateEMA,
+    calculateStdDev,
+    calculateRSI,
+    calculateRSITrendStrength,
+    calculateStochasticK,
+    calculateBollingerPosition,
+    createFeatureSetForML,
+    getAdvisor,
+    registerAdvisor,
+    getAdvisorNames,
+    setRandomSource,
+    createSeededRandom,
+    createModelState,
+    resetModelState,
+    configureMLTraining,
+    trainOnSample,
+    evolveMLWeights,
+    getMLWeightsReport,
+    getModelState,
+    loadModelState,
+    normalizeModelConfig,
+    configureModelDefaults,
+    getEffectiveModelConfig,
+    setModelConfig,
+    describeModelConfig
 };
@@ -0,0 +1,291 @@
+// shadow.js - SEROX AI Shadow Strategies
+// Baseline and challenger strategies that predict every period next to the live model,
+// without affecting it, and the leaderboard that compares them with it.
+// =================================================================
+const { createPredictionEngine, createSeededRandom, settleDecision } = require('./predictionLogic.js');
+const { wilsonInterval, binomialTest } = require('./statistics.js');
+
+const STRATEGY_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DEFAULT_SHADOW_STRATEGIES = [
+    { type: 'coinFlip', seed: 1 },
+    { type: 'repeatLast' },
+    { type: 'oppositeLast' },
+    { type: 'majority', window: 5 }
+];
+const DEFAULT_LEADERBOARD_OPTIONS = { window: null, alpha: 0.05 };
+
+// --- SECTION 1: STRATEGIES ---
+// Every strategy is { predict(history) => decision, settle(period, number) => status,
+// getState(), loadState(state) }. predict() gets the newest-first history the live model
+// just predicted from, and settle() is called exactly when the live prediction settles.
+
+function settledOutcomes(history, count) {
+    const outcomes = [];
+    for (const entry of history) {
+        if (outcomes.length >= count) break;
+        if (entry.actual !== null && entry.resultType) outcomes.push(entry.resultType);
+    }
+    return outcomes;
+}
+
+function opposite(outcome) {
+    return outcome === 'BIG' ? 'SMALL' : 'BIG';
+}
+
+// A strategy that is a pure function of the settled outcomes (newest first), scored with
+// the live model's settlement rule. decide() returns null to sit a period out.
+function createRuleStrategy(decide) {
+    let pending = null;
+    return {
+        predict(history) {
+            pending = decide(history);
+            return pending;
+        },
+        settle(period, number) {
+            const prediction = pending;
+            pending = null;
+            return prediction === null ? null : settleDecision(prediction, number);
+        },
+        getState() {
+            return { pending };
+        },
+        loadState(state) {
+            pending = state && state.pending ? state.pending : null;
+        }
+    };
+}
+
+// The seeded generator is restored by replaying as many draws as were made before.
+function createCoinFlipStrategy({ seed }) {
+    let rng = createSeededRandom(seed);
+    let draws = 0;
+    const strategy = createRuleStrategy(() => {
+        draws++;
+        return rng() < 0.5 ? 'SMALL' : 'BIG';
+    });
+    return {
+        ...strategy,
+        getState() {
+            return { ...strategy.getState(), draws };
+        },
+        loadState(state) {
+            strategy.loadState(state);
+            rng = createSeededRandom(seed);
+            draws = state && Number.isInteger(state.draws) ? state.draws : 0;
+            for (let i = 0; i < draws; i++) rng();
+        }
+    };
+}
+
+function createRepeatLastStrategy() {
+    return createRuleStrategy(history => settledOutcomes(history, 1)[0] || null);
+}
+
+function createOppositeLastStrategy() {
+    return createRuleStrategy(history => {
+        const [last] = settledOutcomes(history, 1);
+        return last ? opposite(last) : null;
+    });
+}
+
+// The more common outcome of the last `window`; a tie goes to the latest outcome.
+function createMajorityStrategy({ window }) {
+    return createRuleStrategy(history => {
+        const outcomes = settledOutcomes(history, window);
+        if (outcomes.length === 0) return null;
+        const big = outcomes.filter(outcome => outcome === 'BIG').length;
+        const small = outcomes.length - big;
+        return big === small ? outcomes[0] : big > small ? 'BIG' : 'SMALL';
+    });
+}
+
+// A second prediction engine with its own config. History rows carry the live model's
+// statuses and ML features, which drive defensive mode and training, so the engine is
+// shown the statuses it earned itself (the row's shadowResults) and the features of its
+// own predictions instead.
+function createEngineStrategy({ name, config, seed }) {
+    const engine = createPredictionEngine(config, null, { rng: createSeededRandom(seed) });
+    let pendingFeatures = null;
+    let settledFeatures = null;
+    return {
+        predict(history) {
+            const view = history.map(entry => ({
+                ...entry,
+                status: entry.shadowResults ? entry.shadowResults[name] ?? null : null,
+                mlFeatures: settledFeatures && settledFeatures.period === entry.period ? settledFeatures.features : null
+            }));
+            const output = engine.predict(view);
+            pendingFeatures = output.mlFeatures || null;
+            settledFeatures = null;
+            return output.finalDecision;
+        },
+        settle(period, number) {
+            const settled = engine.settle(period, number);
+            settledFeatures = pendingFeatures ? { period, features: pendingFeatures } : null;
+            pendingFeatures = null;
+            return settled ? settled.status : null;
+        },
+        // Learning happens on the next predict(), so the features are kept for it.
+        getState() {
+            return { engine: engine.getState(), pendingFeatures, settledFeatures };
+        },
+        loadState(state) {
+            engine.loadState(state && state.engine);
+            pendingFeatures = state && state.pendingFeatures ? state.pendingFeatures : null;
+            settledFeatures = state && state.settledFeatures ? state.settledFeatures : null;
+        },
+        invalidate() {
+            engine.invalidateIndicators();
+        }
+    };
+}
+
+const STRATEGY_TYPES = {
+    coinFlip: { create: createCoinFlipStrategy, defaults: { seed: 1 } },
+    repeatLast: { create: createRepeatLastStrategy, defaults: {} },
+    oppositeLast: { create: createOppositeLastStrategy, defaults: {} },
+    majority: { create: createMajorityStrategy, defaults: { window: 5 }, name: ({ window }) => `majority${window}` },
+    engine: { create: createEngineStrategy, defaults: { config: null, seed: 1 } }
+};
+
+
+// --- SECTION 2: SHADOW SET ---
+
+function normalizeStrategyDefinition(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Each shadow strategy must be an object with a type.');
+    const type = STRATEGY_TYPES[raw.type];
+    if (!type) throw new Error(`Unknown shadow strategy type "${raw.type}". Use one of: ${Object.keys(STRATEGY_TYPES).join(', ')}.`);
+    const definition = { ...type.defaults, ...raw };
+    if (definition.type === 'majority' && !(Number.isInteger(definition.window) && definition.window >= 1 && definition.window <= 500)) {
+        throw new Error('A majority strategy needs a window between 1 and 500.');
+    }
+    if (definition.type === 'engine' && !raw.name) throw new Error('An engine strategy needs a name.');
+    definition.name = definition.name || (type.name ? type.name(definition) : definition.type);
+    if (!STRATEGY_NAME_PATTERN.test(definition.name) || definition.name === 'live') {
+        throw new Error(`Invalid shadow strategy name "${definition.name}". Use 1-32 letters, digits, "_" or "-" (not "live").`);
+    }
+    return definition;
+}
+
+// SHADOW_STRATEGIES is a JSON array such as
+// [{"type":"majority","window":9},{"type":"engine","name":"weighted","config":{"orchestration":{"voting":"weighted"}}}].
+function parseShadowStrategies(raw) {
+    if (!raw || !raw.trim()) return DEFAULT_SHADOW_STRATEGIES.map(normalizeStrategyDefinition);
+    const definitions = JSON.parse(raw);
+    if (!Array.isArray(definitions)) throw new Error('SHADOW_STRATEGIES must be a JSON array.');
+    const normalized = definitions.map(normalizeStrategyDefinition);
+    const names = new Set();
+    for (const definition of normalized) {
+        if (names.has(definition.name)) throw new Error(`Duplicate shadow strategy name "${definition.name}".`);
+        names.add(definition.name);
+    }
+    return normalized;
+}
+
+function createShadowSet(definitions = DEFAULT_SHADOW_STRATEGIES) {
+    const strategies = definitions.map(normalizeStrategyDefinition).map(definition => ({
+        name: definition.name,
+        type: definition.type,
+        strategy: STRATEGY_TYPES[definition.type].create(definition)
+    }));
+
+    return {
+        names() {
+            return strategies.map(entry => entry.name);
+        },
+        // { name: decision } for the period the live model just predicted.
+        predict(history) {
+            return Object.fromEntries(strategies.map(({ name, strategy }) => [name, strategy.predict(history)]));
+        },
+        // { name: 'Win' | 'Loss' | 'Cooldown' | null }, null for a strategy that sat the period out.
+        settle(period, number) {
+            return Object.fromEntries(strategies.map(({ name, strategy }) => [name, strategy.settle(period, number)]));
+        },
+        invalidate() {
+            for (const { strategy } of strategies) if (strategy.invalidate) strategy.invalidate();
+        },
+        getState() {
+            return Object.fromEntries(strategies.map(({ name, type, strategy }) => [name, { type, ...strategy.getState() }]));
+        },
+        // Saved strategies that are no longer configured, or changed type, are dropped.
+        loadState(snapshot) {
+            for (const { name, type, strategy } of strategies) {
+                const saved = snapshot && snapshot[name];
+                strategy.loadState(saved && saved.type === type ? saved : null);
+            }
+        }
+    };
+}
+
+
+// --- SECTION 3: LEADERBOARD ---
+
+function scoreStatuses(statuses) {
+    const wins = statuses.filter(status => status === 'Win').length;
+    const losses = statuses.filter(status => status === 'Loss').length;
+    const decided = wins + losses;
+    return {
+        periods: statuses.length,
+        wins,
+        losses,
+        abstentions: statuses.length - decided,
+        hitRate: decided > 0 ? wins / decided : null,
+        interval: wilsonInterval(wins, decided),
+        // Two-sided exact binomial test against a 50% hit rate.
+        pValue: binomialTest(wins, decided)
+    };
+}
+
+// Exact McNemar test over the periods both the live model and the strategy took a position:
+// only the discordant pairs (one won, the other lost) carry information.
+function compareWithLive(liveStatuses, statuses) {
+    let liveOnly = 0, strategyOnly = 0, paired = 0;
+    liveStatuses.forEach((liveStatus, i) => {
+        const status = statuses[i];
+        if ((liveStatus !== 'Win' && liveStatus !== 'Loss') || (status !== 'Win' && status !== 'Loss')) return;
+        paired++;
+        if (liveStatus === 'Win' && status === 'Loss') liveOnly++;
+        if (liveStatus === 'Loss' && status === 'Win') strategyOnly++;
+    });
+    const discordant = liveOnly + strategyOnly;
+    const pValue = discordant > 0 ? binomialTest(liveOnly, discordant) : paired > 0 ? 1 : null;
+    return { pairedPeriods: paired, liveOnlyWins: liveOnly, strategyOnlyWins: strategyOnly, pValue };
+}
+
+// history is newest-first, as kept by the prediction cycle. Every settled live prediction
+// with shadow results counts (the latest `window` of them, if set). A difference from the
+// live model is only called significant when its p-value clears alpha Bonferroni-corrected
+// for the number of strategies.
+function computeLeaderboard(history, names, options = {}) {
+    const { window, alpha } = { ...DEFAULT_LEADERBOARD_OPTIONS, ...options };
+    const settled = history.filter(entry => entry.actual !== null && entry.shadowResults && ['Win', 'Loss', 'Cooldown'].includes(entry.status));
+    const rows = window ? settled.slice(0, window) : settled;
+    const liveStatuses = rows.map(entry => entry.status);
+    const correctedAlpha = names.length > 0 ? alpha / names.length : alpha;
+
+    const strategies = names.map(name => {
+        const statuses = rows.map(entry => entry.shadowResults[name] ?? null);
+        const versusLive = compareWithLive(liveStatuses, statuses);
+        let verdict = 'NO_SIGNIFICANT_DIFFERENCE';
+        if (versusLive.pValue === null) verdict = 'INSUFFICIENT_DATA';
+        else if (versusLive.pValue < correctedAlpha) verdict = versusLive.strategyOnlyWins > versusLive.liveOnlyWins ? 'BEATS_LIVE' : 'LOSES_TO_LIVE';
+        return { name, ...scoreStatuses(statuses), versusLive: { ...versusLive, verdict } };
+    });
+    strategies.sort((a, b) => (b.hitRate ?? -1) - (a.hitRate ?? -1));
+
+    return {
+        settledPeriods: rows.length,
+        alpha,
+        correctedAlpha,
+        live: { name: 'live', ...scoreStatuses(liveStatuses) },
+        strategies
+    };
+}
+
+module.exports = {
+    DEFAULT_SHADOW_STRATEGIES,
+    DEFAULT_LEADERBOARD_OPTIONS,
+    parseShadowStrategies,
+    createShadowSet,
+    computeLeaderboard
+};
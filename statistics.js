@@ -0,0 +1,108 @@
+// statistics.js - SEROX AI Statistical Helpers
+// Small, dependency-free tests used to judge hit rates against chance.
+// =================================================================
+
+const Z_95 = 1.959963984540054;
+
+// Wilson score interval for a binomial proportion.
+function wilsonInterval(successes, trials, z = Z_95) {
+    if (!trials) return null;
+    const p = successes / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const centre = (p + z2 / (2 * trials)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials)) / denominator;
+    return { lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+}
+
+function logFactorials(n) {
+    const table = new Float64Array(n + 1);
+    for (let i = 2; i <= n; i++) table[i] = table[i - 1] + Math.log(i);
+    return table;
+}
+
+// Exact two-sided binomial test: sums every outcome no more likely than the observed one.
+function binomialTest(successes, trials, p = 0.5) {
+    if (!trials) return null;
+    if (p <= 0 || p >= 1) return successes === trials * p ? 1 : 0;
+    const lf = logFactorials(trials);
+    const logPmf = k => lf[trials] - lf[k] - lf[trials - k] + k * Math.log(p) + (trials - k) * Math.log(1 - p);
+    const observed = logPmf(successes);
+    const tolerance = 1e-7;
+    let pValue = 0;
+    for (let k = 0; k <= trials; k++) {
+        const lp = logPmf(k);
+        if (lp <= observed + tolerance) pValue += Math.exp(lp);
+    }
+    return Math.min(1, pValue);
+}
+
+// Lanczos approximation (g = 7, n = 9).
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above.
+function upperIncompleteGamma(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+    if (x < a + 1) {
+        let term = 1 / a, sum = term;
+        for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+    const tiny = 1e-300;
+    let b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+    for (let n = 1; n < 500; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.min(1, Math.exp(logPrefix) * h);
+}
+
+// P(X >= statistic) for X ~ chi-square with df degrees of freedom.
+function chiSquarePValue(statistic, df) {
+    if (!(df > 0) || !Number.isFinite(statistic)) return null;
+    return upperIncompleteGamma(df / 2, statistic / 2);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf, error < 1.5e-7).
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function twoSidedNormalPValue(z) {
+    return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+module.exports = {
+    wilsonInterval,
+    binomialTest,
+    chiSquarePValue,
+    normalCdf,
+    twoSidedNormalPValue
+};
@@ -0,0 +1,91 @@
+// storage.js - SEROX AI Storage Layer
+// A storage backend is any object with async load() -> snapshot|null and
+// async save(snapshot). Snapshots are plain JSON-serialisable objects.
+// =================================================================
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORAGE_PATH = path.join(__dirname, 'data', 'serox-state.json');
+
+// --- SECTION 1: IN-MEMORY (no durability, used for tests and STORAGE_DRIVER=memory) ---
+
+function createMemoryStorage(initialSnapshot = null) {
+    let stored = initialSnapshot === null ? null : JSON.stringify(initialSnapshot);
+    return {
+        name: 'memory',
+        async load() {
+            return stored === null ? null : JSON.parse(stored);
+        },
+        async save(snapshot) {
+            stored = JSON.stringify(snapshot);
+        }
+    };
+}
+
+// --- SECTION 2: LOCAL JSON FILE ---
+
+// Each save writes a temp file in the same directory, fsyncs it and renames it over
+// the target, so a crash mid-write leaves the previous snapshot intact. Saves are
+// queued so two cycles can never interleave their writes.
+function createFileStorage(filePath = DEFAULT_STORAGE_PATH) {
+    const resolvedPath = path.resolve(filePath);
+    let writeQueue = Promise.resolve();
+
+    async function writeAtomically(contents) {
+        await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+        const tempPath = `${resolvedPath}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        try {
+            await fs.promises.rename(tempPath, resolvedPath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    return {
+        name: 'file',
+        path: resolvedPath,
+        async load() {
+            let contents;
+            try {
+                contents = await fs.promises.readFile(resolvedPath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+            try {
+                return JSON.parse(contents);
+            } catch (error) {
+                throw new Error(`State file ${resolvedPath} is not valid JSON: ${error.message}`);
+            }
+        },
+        save(snapshot) {
+            const contents = JSON.stringify(snapshot);
+            const write = writeQueue.then(() => writeAtomically(contents));
+            writeQueue = write.catch(() => {});
+            return write;
+        }
+    };
+}
+
+// --- SECTION 3: SELECTION ---
+
+function createStorageFromEnv(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'file';
+    if (driver === 'memory') return createMemoryStorage();
+    if (driver === 'file') return createFileStorage(env.STORAGE_PATH || DEFAULT_STORAGE_PATH);
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "file" or "memory".`);
+}
+
+module.exports = {
+    createMemoryStorage,
+    createFileStorage,
+    createStorageFromEnv
+};
@@ -0,0 +1,126 @@
+// streams.js - SEROX AI Stream Registry
+// One independent cycle state (history, stats, learned model) per result stream.
+// =================================================================
+const { createCycleState, serializeCycleState, restoreCycleState } = require('./predictionCycle.js');
+
+const DEFAULT_STREAM_ID = 'default';
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DEFAULT_STREAM_DEFINITIONS = [{
+    id: DEFAULT_STREAM_ID,
+    typeId: 1,
+    label: 'Default',
+    source: { type: 'http', intervalMs: 30000, initialBackfill: 120 }
+}];
+
+function isValidStreamId(streamId) {
+    return typeof streamId === 'string' && STREAM_ID_PATTERN.test(streamId);
+}
+
+function normalizeDefinition(raw) {
+    const definition = typeof raw === 'string' ? { id: raw } : { ...raw };
+    if (!isValidStreamId(definition.id)) {
+        throw new Error(`Invalid stream id "${definition.id}". Use 1-32 letters, digits, "_" or "-".`);
+    }
+    if (definition.typeId !== undefined && definition.typeId !== null && !Number.isInteger(Number(definition.typeId))) {
+        throw new Error(`Stream "${definition.id}" has a non-integer typeId.`);
+    }
+    if (definition.source !== undefined && definition.source !== null && (typeof definition.source !== 'object' || !definition.source.type)) {
+        throw new Error(`Stream "${definition.id}" has a source without a type.`);
+    }
+    return {
+        ...definition,
+        typeId: definition.typeId === undefined || definition.typeId === null ? null : Number(definition.typeId),
+        label: definition.label || definition.id,
+        source: definition.source || null
+    };
+}
+
+// STREAMS is either a JSON array of { id, typeId, label, source } or a shorthand list
+// "wingo1:1,wingo3:2" (shorthand streams poll the upstream API with their typeId).
+function parseStreamDefinitions(raw) {
+    if (!raw || !raw.trim()) return DEFAULT_STREAM_DEFINITIONS.map(normalizeDefinition);
+    const trimmed = raw.trim();
+    const definitions = trimmed.startsWith('[')
+        ? JSON.parse(trimmed)
+        : trimmed.split(',').map(part => {
+            const [id, typeId] = part.split(':').map(piece => piece.trim());
+            const hasTypeId = typeId !== undefined && typeId !== '';
+            return { id, typeId: hasTypeId ? typeId : null, source: hasTypeId ? { type: 'http' } : null };
+        });
+    const normalized = definitions.map(normalizeDefinition);
+    const ids = new Set();
+    for (const definition of normalized) {
+        if (ids.has(definition.id)) throw new Error(`Duplicate stream id "${definition.id}".`);
+        ids.add(definition.id);
+    }
+    return normalized;
+}
+
+function createStreamRegistry(options = {}) {
+    const definitions = options.definitions || DEFAULT_STREAM_DEFINITIONS.map(normalizeDefinition);
+    const cycleOptions = { maxHistoryLength: options.maxHistoryLength, calibrationMethod: options.calibrationMethod, shadowStrategies: options.shadowStrategies };
+    const streams = new Map();
+
+    function addStream(definition) {
+        const stream = { ...normalizeDefinition(definition), state: createCycleState(cycleOptions) };
+        streams.set(stream.id, stream);
+        return stream;
+    }
+
+    for (const definition of definitions) addStream(definition);
+    if (streams.size === 0) addStream({ id: DEFAULT_STREAM_ID });
+
+    return {
+        // The first configured stream also answers the legacy un-prefixed routes.
+        defaultStreamId: streams.keys().next().value,
+        get(streamId) {
+            return streams.get(streamId) || null;
+        },
+        all() {
+            return [...streams.values()];
+        },
+        list() {
+            return [...streams.values()].map(stream => ({
+                id: stream.id,
+                label: stream.label,
+                typeId: stream.typeId,
+                historyLength: stream.state.history.filter(entry => entry.actual !== null).length,
+                lastProcessedPeriod: stream.state.lastProcessedPeriod,
+                systemHealth: stream.state.currentPrediction ? stream.state.currentPrediction.systemHealth : null,
+                currentPrediction: stream.state.currentPrediction
+            }));
+        },
+        // Starts a stream over with no history and an untrained model. A model config
+        // override set for the stream is kept.
+        reset(streamId) {
+            const stream = streams.get(streamId);
+            if (!stream) return null;
+            const { config } = stream.state.engine.getState().model;
+            stream.state = createCycleState({ ...cycleOptions, config });
+            return stream;
+        },
+        serialize() {
+            const serialized = {};
+            for (const stream of streams.values()) {
+                const { state, ...definition } = stream;
+                serialized[stream.id] = { definition, cycle: serializeCycleState(state) };
+            }
+            return serialized;
+        },
+        // Configured definitions win over stored ones; stored streams that are no longer configured are kept.
+        restore(serializedStreams) {
+            for (const [streamId, saved] of Object.entries(serializedStreams || {})) {
+                if (!isValidStreamId(streamId)) continue;
+                const stream = streams.get(streamId) || addStream(saved.definition || { id: streamId });
+                restoreCycleState(stream.state, saved.cycle);
+            }
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STREAM_ID,
+    isValidStreamId,
+    parseStreamDefinitions,
+    createStreamRegistry
+};
@@ -0,0 +1,60 @@
+// targetStats.js - SEROX AI Target Scoreboard
+// Hit rates and Brier scores for every prediction target, against chance, read from history.
+// =================================================================
+const { getTargetNames, getTarget } = require('./predictionLogic.js');
+const { binomialTest } = require('./statistics.js');
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Brier score the target's base rates (every number equally likely) would have scored.
+function chanceBrier(target, number) {
+    return target.outcomes.reduce((sum, outcome) => sum + (target.baseRates[outcome] - (target.wins(outcome, number) ? 1 : 0)) ** 2, 0);
+}
+
+function scoreTarget(name, entries) {
+    const target = getTarget(name);
+    const results = entries.map(entry => ({ number: entry.actualNumber, ...entry.targetResults[name] })).filter(result => result.status);
+    const decided = results.filter(result => result.status === 'Win' || result.status === 'Loss');
+    const wins = decided.filter(result => result.status === 'Win').length;
+    // What the same predictions would hit on average by chance; the binomial test is exact
+    // when every predicted outcome has the same base rate.
+    const chanceHitRate = mean(decided.map(result => target.baseRates[result.prediction]));
+    const brier = mean(results.map(result => result.brier));
+    const baseline = mean(results.map(result => chanceBrier(target, result.number)));
+    return {
+        periods: results.length,
+        wins,
+        losses: decided.length - wins,
+        cooldowns: results.length - decided.length,
+        hitRate: decided.length > 0 ? wins / decided.length : null,
+        chanceHitRate,
+        pValue: chanceHitRate === null ? null : binomialTest(wins, decided.length, chanceHitRate),
+        meanProbability: mean(results.map(result => result.probability)),
+        brier,
+        chanceBrier: baseline,
+        // Above 0 means the probabilities beat the base rates.
+        brierSkill: brier !== null && baseline > 0 ? 1 - brier / baseline : null
+    };
+}
+
+// history is newest-first, as kept by the prediction cycle. Only settled periods whose
+// prediction carried targets count; window keeps the most recent N of those.
+function computeTargetStats(history, window = null) {
+    const settled = history.filter(entry => entry.actual !== null && entry.targetResults);
+    const entries = window ? settled.slice(0, window) : settled;
+    return {
+        settledPeriods: entries.length,
+        targets: getTargetNames().map(name => ({
+            name,
+            outcomes: getTarget(name).outcomes,
+            baseRates: getTarget(name).baseRates,
+            ...scoreTarget(name, entries)
+        }))
+    };
+}
+
+module.exports = {
+    computeTargetStats
+};
@@ -0,0 +1,88 @@
+// advisorStats.test.js - SEROX AI Advisor Scoreboard Tests
+// Fire, hit and agreement rates per advisor over rolling windows of settled history.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAdvisorStats } = require('../advisorStats.js');
+const { getAdvisorNames, createSeededRandom } = require('../predictionLogic.js');
+const { createCycleState, runPredictionCycle } = require('../predictionCycle.js');
+const { seededNumbers } = require('./helpers.js');
+
+// A settled history row as the cycle leaves it; votes maps advisor name to BIG/SMALL/null.
+function settledRow(period, votes, { actual = 'BIG', ml = 'BIG', decision = ml } = {}) {
+    const advisorVotes = Object.fromEntries(getAdvisorNames().map(name => [name, votes[name] ?? null]));
+    return {
+        period: String(period),
+        actual: actual === 'BIG' ? 7 : 2,
+        resultType: actual,
+        prediction: decision,
+        advisorVotes,
+        advisorResults: Object.fromEntries(Object.entries(advisorVotes).map(([name, vote]) => [name, vote === null ? null : vote === actual])),
+        trace: { ml: { prediction: ml } }
+    };
+}
+
+function statsFor(report, name, window) {
+    return report.advisors.find(advisor => advisor.name === name).windows[window];
+}
+
+test('hit rate counts the votes that matched the result', () => {
+    const history = [
+        settledRow(1004, { RSITrend: 'BIG' }),
+        settledRow(1003, { RSITrend: 'SMALL' }),
+        settledRow(1002, { RSITrend: 'SMALL' }, { actual: 'SMALL' }),
+        settledRow(1001, { RSITrend: 'BIG' }, { actual: 'SMALL' })
+    ];
+    const report = computeAdvisorStats(history, [2, 4]);
+    assert.equal(report.settledPeriods, 4);
+    assert.deepEqual(report.windows, [2, 4]);
+    assert.deepEqual(statsFor(report, 'RSITrend', 4), { periods: 4, fired: 4, fireRate: 1, hits: 2, hitRate: 0.5, agreements: 2, agreementRate: 0.5 });
+    // Windows are the most recent periods.
+    assert.equal(statsFor(report, 'RSITrend', 2).hits, 1);
+    assert.equal(statsFor(report, 'RSITrend', 2).periods, 2);
+});
+
+test('agreement is with the primary ML model, not a COOLDOWN or defensive final decision', () => {
+    const history = [
+        settledRow(1003, { Stochastic: 'SMALL' }, { ml: 'SMALL', decision: 'COOLDOWN' }),
+        settledRow(1002, { Stochastic: 'BIG' }, { ml: 'SMALL', decision: 'SMALL' }),
+        settledRow(1001, { Stochastic: 'BIG' }, { ml: 'BIG' })
+    ];
+    const stats = statsFor(computeAdvisorStats(history, [10]), 'Stochastic', 10);
+    assert.equal(stats.agreements, 2);
+    assert.equal(stats.agreementRate, 2 / 3);
+
+    // A row without a trace still counts towards fire and hit rates but not agreement.
+    const { trace, ...untraced } = settledRow(1004, { Stochastic: 'BIG' }, { ml: 'SMALL' });
+    const withUntraced = statsFor(computeAdvisorStats([untraced, ...history], [10]), 'Stochastic', 10);
+    assert.equal(withUntraced.fired, 4);
+    assert.equal(withUntraced.agreementRate, 2 / 3);
+});
+
+test('periods without a vote lower the fire rate and leave the other rates alone', () => {
+    const history = [
+        settledRow(1004, {}),
+        settledRow(1003, { MeanReversion: 'BIG' }),
+        settledRow(1002, {}),
+        { period: '1005', actual: null, advisorVotes: { MeanReversion: 'BIG' }, trace: { ml: { prediction: 'BIG' } } },
+        { period: '1001', actual: 3, resultType: 'SMALL' }
+    ];
+    const report = computeAdvisorStats(history, [10]);
+    assert.equal(report.settledPeriods, 3);
+    const voted = statsFor(report, 'MeanReversion', 10);
+    assert.deepEqual([voted.fired, voted.fireRate, voted.hitRate, voted.agreementRate], [1, 1 / 3, 1, 1]);
+    assert.deepEqual(statsFor(report, 'PriceAction', 10), { periods: 3, fired: 0, fireRate: 0, hits: 0, hitRate: null, agreements: 0, agreementRate: null });
+    assert.equal(statsFor(computeAdvisorStats([], [10]), 'PriceAction', 10).fireRate, null);
+});
+
+test('the scoreboard reads the votes the prediction cycle records', () => {
+    const state = createCycleState({ rng: createSeededRandom(5) });
+    seededNumbers(160, 5).forEach((number, i) => runPredictionCycle(state, { issueNumber: String(1000 + i), number }));
+    const report = computeAdvisorStats(state.history, [50]);
+    assert.ok(report.settledPeriods >= 50);
+    for (const advisor of report.advisors) {
+        const stats = advisor.windows[50];
+        assert.equal(stats.periods, 50);
+        assert.ok(stats.hits <= stats.fired && stats.agreements <= stats.fired, advisor.name);
+    }
+});
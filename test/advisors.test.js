@@ -0,0 +1,103 @@
+// advisors.test.js - SEROX AI Advisor Tests
+// Each registered advisor, called directly with its default params unless a case needs others.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAdvisor, getAdvisorNames, normalizeModelConfig } = require('../predictionLogic.js');
+
+const DEFAULTS = normalizeModelConfig().advisors;
+
+// Newest-first numbers to settled history rows.
+function rows(numbers) {
+    return numbers.map(number => ({ actual: number, actualNumber: number }));
+}
+
+function signal(name, numbers, params = {}) {
+    return getAdvisor(name).predict(rows(numbers), { ...DEFAULTS[name].params, ...params });
+}
+
+function vote(name, numbers, params = {}) {
+    const result = signal(name, numbers, params);
+    return result ? result.prediction : null;
+}
+
+test('every registered advisor has a default config', () => {
+    assert.deepEqual(getAdvisorNames(), ['RSITrend', 'Stochastic', 'ColorPatterns', 'VolatilityBreakout', 'PriceAction', 'MeanReversion']);
+    for (const name of getAdvisorNames()) assert.ok(DEFAULTS[name].enabled);
+    assert.equal(getAdvisor('Nope'), null);
+});
+
+test('RSITrend follows RSI crossing its moving average', () => {
+    const params = { rsiPeriod: 2, rsiMAPeriod: 2, threshold: 2 };
+    assert.equal(vote('RSITrend', [9, 0, 5, 5], params), 'BIG');
+    assert.equal(vote('RSITrend', [0, 9, 5, 5], params), 'SMALL');
+    assert.equal(vote('RSITrend', [9, 0, 5], params), null);
+});
+
+test('RSITrend abstains inside the threshold', () => {
+    assert.equal(vote('RSITrend', [1, 2, 1, 2, 1, 2], { rsiPeriod: 2, rsiMAPeriod: 2, threshold: 50 }), null);
+});
+
+test('Stochastic fades the top and bottom of the range', () => {
+    const range = [4, 5, 3, 6, 2, 7, 1, 8, 0, 9, 4, 5, 4];
+    assert.equal(vote('Stochastic', [9, ...range]), 'SMALL');
+    assert.equal(vote('Stochastic', [0, ...range]), 'BIG');
+    assert.equal(vote('Stochastic', [5, ...range]), null);
+});
+
+test('Stochastic abstains on a flat or short window', () => {
+    assert.equal(vote('Stochastic', new Array(14).fill(3)), null);
+    assert.equal(vote('Stochastic', [9, 0, 5]), null);
+});
+
+test('ColorPatterns continues a four-long streak', () => {
+    assert.deepEqual(signal('ColorPatterns', [9, 8, 7, 6, 1]), { prediction: 'BIG', source: 'Pattern:StreakCont' });
+    assert.deepEqual(signal('ColorPatterns', [0, 1, 2, 3, 8]), { prediction: 'SMALL', source: 'Pattern:StreakCont' });
+});
+
+test('ColorPatterns breaks a five-long streak', () => {
+    assert.deepEqual(signal('ColorPatterns', [9, 8, 7, 6, 5]), { prediction: 'SMALL', source: 'Pattern:StreakBreak' });
+    assert.deepEqual(signal('ColorPatterns', [0, 1, 2, 3, 4]), { prediction: 'BIG', source: 'Pattern:StreakBreak' });
+});
+
+test('ColorPatterns reads the longer streak pattern first whichever it is', () => {
+    const params = { streakLength: 6, breakLength: 4 };
+    assert.equal(vote('ColorPatterns', [9, 8, 7, 6, 1, 2], params), 'SMALL');
+    assert.equal(vote('ColorPatterns', [0, 1, 2, 3, 8, 9], params), 'BIG');
+    assert.equal(vote('ColorPatterns', [9, 8, 7, 6, 5, 9], params), 'BIG');
+    assert.equal(vote('ColorPatterns', [0, 1, 2, 3, 4, 0], params), 'SMALL');
+});
+
+test('ColorPatterns reads alternation and abstains without a pattern', () => {
+    // Newest first: B S B S, so oldest first it ends S B S B.
+    assert.deepEqual(signal('ColorPatterns', [9, 1, 9, 1, 1]), { prediction: 'SMALL', source: 'Pattern:AltBreak' });
+    assert.deepEqual(signal('ColorPatterns', [1, 9, 1, 9, 9]), { prediction: 'BIG', source: 'Pattern:AltBreak' });
+    assert.equal(vote('ColorPatterns', [9, 9, 1, 1, 9]), null);
+    assert.equal(vote('ColorPatterns', [9, 8, 7, 6]), null);
+});
+
+test('VolatilityBreakout follows the last move when volatility expands', () => {
+    const params = { period: 4, ratio: 1.8 };
+    const calm = [5, 4, 5, 4];
+    assert.equal(vote('VolatilityBreakout', [9, 0, 9, 0, ...calm], params), 'BIG');
+    assert.equal(vote('VolatilityBreakout', [0, 9, 0, 9, ...calm], params), 'SMALL');
+    assert.equal(vote('VolatilityBreakout', [5, 4, 5, 4, ...calm], params), null);
+});
+
+test('VolatilityBreakout abstains when the prior window is flat', () => {
+    assert.equal(vote('VolatilityBreakout', [9, 0, 9, 0, 5, 5, 5, 5], { period: 4 }), null);
+});
+
+test('PriceAction follows higher highs and lower lows', () => {
+    assert.equal(vote('PriceAction', [6, 5, 4, 3, 0]), 'BIG');
+    assert.equal(vote('PriceAction', [3, 4, 5, 6, 0]), 'SMALL');
+    assert.equal(vote('PriceAction', [5, 5, 5, 5, 5]), null);
+    assert.equal(vote('PriceAction', [6, 5, 4, 3]), null);
+});
+
+test('MeanReversion fades a stretched number', () => {
+    const params = { period: 10, zScoreThreshold: 1.5 };
+    assert.equal(vote('MeanReversion', [9, 4, 5, 4, 5, 4, 5, 4, 5, 4], params), 'SMALL');
+    assert.equal(vote('MeanReversion', [0, 4, 5, 4, 5, 4, 5, 4, 5, 4], params), 'BIG');
+    assert.equal(vote('MeanReversion', [4, 5, 4, 5, 4, 5, 4, 5, 4, 5], params), null);
+});
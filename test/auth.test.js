@@ -0,0 +1,158 @@
+// auth.test.js - SEROX AI API Key Tests
+// Role checks, failing closed without keys, AUTH=off and read-only stream tokens.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createKey, revokeKey, createKeyStore, createRateLimiter, createStreamTokens, createAuth } = require('../auth.js');
+
+function keyFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serox-auth-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'api-keys.json');
+}
+
+// A clock far enough ahead on every call that the key store rereads the file each time.
+function rereadingClock() {
+    let now = 0;
+    return () => (now += 60000);
+}
+
+// Runs a middleware against a minimal request; returns { passed, status, body, req, res }.
+function run(middleware, { key = null, query = {} } = {}) {
+    const headers = key ? { authorization: `Bearer ${key}` } : {};
+    const req = { query, ip: '127.0.0.1', get: name => headers[name.toLowerCase()] };
+    const res = {
+        headers: {},
+        set(values) { Object.assign(this.headers, values); return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode, body: res.body, req, res };
+}
+
+test('roles are ordered read < ingest < admin', (t) => {
+    const filePath = keyFile(t);
+    const { key: readKey } = createKey(filePath, { name: 'dashboard', role: 'read' });
+    const { key: ingestKey } = createKey(filePath, { name: 'scraper', role: 'ingest' });
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()) });
+
+    assert.equal(run(auth.require('read'), { key: readKey }).passed, true);
+    assert.equal(run(auth.require('ingest'), { key: readKey }).status, 403);
+    const ingest = run(auth.require('ingest'), { key: ingestKey });
+    assert.equal(ingest.passed, true);
+    assert.equal(ingest.req.apiKey.name, 'scraper');
+    assert.equal(run(auth.require('admin'), { key: ingestKey }).body.code, 'FORBIDDEN');
+    assert.equal(run(auth.require('read')).status, 401);
+    assert.equal(run(auth.require('read'), { key: 'serox_wrong' }).body.code, 'UNAUTHORIZED');
+});
+
+test('without active keys reads stay open and ingest and admin are refused', (t) => {
+    const filePath = keyFile(t);
+    const rejected = [];
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()), onReject: code => rejected.push(code) });
+
+    assert.equal(run(auth.require('read')).passed, true);
+    for (const role of ['ingest', 'admin']) {
+        const result = run(auth.require(role));
+        assert.equal(result.passed, false);
+        assert.equal(result.status, 503);
+        assert.equal(result.body.code, 'AUTH_NOT_CONFIGURED');
+    }
+    assert.deepEqual(rejected, ['AUTH_NOT_CONFIGURED', 'AUTH_NOT_CONFIGURED']);
+
+    // Only revoked keys left counts as no keys.
+    const { record } = createKey(filePath, { name: 'old', role: 'admin' });
+    revokeKey(filePath, record.id);
+    assert.equal(run(auth.require('admin')).body.code, 'AUTH_NOT_CONFIGURED');
+});
+
+test('deleting the key file while running fails closed', (t) => {
+    const filePath = keyFile(t);
+    const { key } = createKey(filePath, { name: 'ops', role: 'admin' });
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()) });
+    assert.equal(run(auth.require('admin'), { key }).passed, true);
+
+    fs.unlinkSync(filePath);
+    const result = run(auth.require('admin'), { key });
+    assert.equal(result.passed, false);
+    assert.equal(result.body.code, 'AUTH_NOT_CONFIGURED');
+});
+
+test('AUTH=off lets everything through', (t) => {
+    const auth = createAuth({ keyStore: createKeyStore(keyFile(t), rereadingClock()), disabled: true });
+    for (const role of ['read', 'ingest', 'admin']) assert.equal(run(auth.require(role)).passed, true);
+});
+
+test('stream tokens are read-only, expire, and replace keys in the URL', (t) => {
+    const filePath = keyFile(t);
+    const { key } = createKey(filePath, { name: 'ops', role: 'admin' });
+    let now = 0;
+    const streamTokens = createStreamTokens({ ttlMs: 60000, clock: () => now });
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()), streamTokens });
+    const subscribe = auth.require('read', { allowStreamToken: true });
+
+    const issued = run(auth.require('read'), { key }).req.apiKey;
+    const { token, expiresAt } = streamTokens.issue(issued);
+    assert.equal(expiresAt, 60000);
+    const connected = run(subscribe, { query: { token } });
+    assert.equal(connected.passed, true);
+    assert.deepEqual(connected.req.apiKey, { ...issued, role: 'read' });
+    assert.equal(run(subscribe, { query: { token } }).passed, true);
+
+    assert.equal(run(auth.require('read'), { query: { token } }).status, 401);
+    assert.equal(run(subscribe, { query: { apiKey: key } }).status, 401);
+    assert.equal(run(subscribe, { query: { token: 'made-up' } }).status, 401);
+    assert.throws(() => auth.require('admin', { allowStreamToken: true }), /only grant read access/);
+
+    now = 60000;
+    assert.equal(run(subscribe, { query: { token } }).body.code, 'UNAUTHORIZED');
+});
+
+test('a stream token stops working once its key is revoked', (t) => {
+    const filePath = keyFile(t);
+    const { key, record } = createKey(filePath, { name: 'dashboard', role: 'read' });
+    createKey(filePath, { name: 'ops', role: 'admin' });
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()) });
+    const subscribe = auth.require('read', { allowStreamToken: true });
+    const { token } = auth.streamTokens.issue(run(auth.require('read'), { key }).req.apiKey);
+    assert.equal(run(subscribe, { query: { token } }).passed, true);
+
+    revokeKey(filePath, record.id);
+    const refused = run(subscribe, { query: { token } });
+    assert.equal(refused.status, 401);
+    assert.equal(refused.body.code, 'UNAUTHORIZED');
+});
+
+test('requests made with a stream token count against the rate limit of its key', (t) => {
+    const filePath = keyFile(t);
+    const { key } = createKey(filePath, { name: 'dashboard', role: 'read', rateLimit: 3 });
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()), rateLimiter: createRateLimiter(() => 0) });
+    const subscribe = auth.require('read', { allowStreamToken: true });
+    const { token } = auth.streamTokens.issue(run(auth.require('read'), { key }).req.apiKey);
+
+    assert.equal(run(subscribe, { query: { token } }).passed, true);
+    assert.equal(run(subscribe, { query: { token } }).passed, true);
+    const limited = run(subscribe, { query: { token } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.res.headers['Retry-After'], '20');
+    // The key and its tokens share one bucket.
+    assert.equal(run(auth.require('read'), { key }).body.code, 'RATE_LIMITED');
+});
+
+test('a token handed out while no keys were loaded stops working once keys exist', (t) => {
+    const filePath = keyFile(t);
+    const streamTokens = createStreamTokens();
+    const auth = createAuth({ keyStore: createKeyStore(filePath, rereadingClock()), streamTokens });
+    const subscribe = auth.require('read', { allowStreamToken: true });
+    const { token } = streamTokens.issue(null);
+    assert.equal(run(subscribe, { query: { token } }).passed, true);
+
+    createKey(filePath, { name: 'ops', role: 'admin' });
+    assert.equal(run(subscribe, { query: { token } }).status, 401);
+});
@@ -0,0 +1,107 @@
+// backtest.test.js - SEROX AI Backtester Tests
+// Loading JSON and CSV result series, scoring settled trades and replaying a series
+// deterministically from a seed.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseResultSeries, loadResultSeries, runBacktest, summarizeTrades, formatReport } = require('../backtest.js');
+const { seededNumbers } = require('./helpers.js');
+
+function seededSeries(length, seed) {
+    return seededNumbers(length, seed).map((number, i) => ({ issueNumber: String(20240000 + i), number }));
+}
+
+test('JSON series load from a bare array or the upstream list response', () => {
+    const expected = [{ issueNumber: '1001', number: 4 }, { issueNumber: '1002', number: 9 }];
+    assert.deepEqual(parseResultSeries('[{"issueNumber":"1002","number":"9"},{"issueNumber":1001,"number":4}]', 'json'), expected);
+    assert.deepEqual(parseResultSeries('{"data":{"list":[{"issueNumber":"1001","number":4,"colour":"red"},{"issueNumber":"1002","number":9}]}}', 'json'), expected);
+    assert.deepEqual(parseResultSeries('{"list":[{"issueNumber":"1002","number":9},{"issueNumber":"1001","number":4}]}', 'json'), expected);
+
+    assert.throws(() => parseResultSeries('{"data":{}}', 'json'), /must be an array or contain data.list/);
+    assert.throws(() => parseResultSeries('[{"issueNumber":"10a1","number":4}]', 'json'), /Entry 0: issueNumber/);
+    assert.throws(() => parseResultSeries('[{"issueNumber":"1001","number":4},{"issueNumber":"1002","number":10}]', 'json'), /Entry 1: number/);
+    assert.throws(() => parseResultSeries('[{', 'json'), SyntaxError);
+});
+
+test('CSV series load by header name, in any column order', () => {
+    const csv = 'Number,"issueNumber",colour\r\n"7",20250101100010002,red\r\n\r\n3,"20250101100010001",green\r\n';
+    assert.deepEqual(parseResultSeries(csv, 'csv'), [
+        { issueNumber: '20250101100010001', number: 3 },
+        { issueNumber: '20250101100010002', number: 7 }
+    ]);
+    assert.deepEqual(parseResultSeries('', 'csv'), []);
+    assert.throws(() => parseResultSeries('period,number\n1,2', 'csv'), /header must contain issueNumber and number/);
+    assert.throws(() => parseResultSeries('issueNumber,number\n1001,2\n1002,x', 'csv'), /Line 3: number/);
+});
+
+test('series come back oldest first by period id, one row per period', () => {
+    const series = parseResultSeries(JSON.stringify([
+        { issueNumber: '20250101100010480', number: 1 },
+        { issueNumber: '9', number: 2 },
+        { issueNumber: '20250101100010479', number: 3 },
+        { issueNumber: '9', number: 5 }
+    ]), 'json');
+    // Period ids beyond Number.MAX_SAFE_INTEGER still sort exactly; the last duplicate wins.
+    assert.deepEqual(series, [
+        { issueNumber: '9', number: 5 },
+        { issueNumber: '20250101100010479', number: 3 },
+        { issueNumber: '20250101100010480', number: 1 }
+    ]);
+});
+
+test('loadResultSeries picks the format from the file extension unless told', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serox-backtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'results.CSV'), 'issueNumber,number\n1001,2\n');
+    fs.writeFileSync(path.join(dir, 'results.txt'), 'issueNumber,number\n1001,2\n');
+    assert.deepEqual(loadResultSeries(path.join(dir, 'results.CSV')), [{ issueNumber: '1001', number: 2 }]);
+    assert.deepEqual(loadResultSeries(path.join(dir, 'results.txt'), 'csv'), [{ issueNumber: '1001', number: 2 }]);
+    assert.throws(() => loadResultSeries(path.join(dir, 'results.txt')), SyntaxError);
+});
+
+test('trades are scored overall, by confidence level and by system health', () => {
+    const trade = (status, confidenceLevel, systemHealth = 'OK') => ({ status, confidenceLevel, systemHealth });
+    const summary = summarizeTrades([
+        trade('Win', 1), trade('Win', 1), trade('Loss', 0), trade('Cooldown', 0, 'COOLDOWN'),
+        trade('Loss', 0, 'DEFENSIVE_MODE'), trade('Win', 0), trade('Win', 1), trade('Win', 1)
+    ]);
+    assert.deepEqual([summary.trades, summary.wins, summary.losses, summary.cooldowns], [8, 5, 2, 1]);
+    assert.equal(summary.hitRate, 5 / 7);
+    assert.ok(Math.abs(summary.binomialPValue - 29 / 64) < 1e-12);
+    assert.deepEqual([summary.longestWinRun, summary.longestLossRun], [3, 2]);
+    assert.deepEqual(Object.keys(summary.byConfidenceLevel), ['0', '1']);
+    assert.deepEqual([summary.byConfidenceLevel['1'].wins, summary.byConfidenceLevel['1'].losses], [4, 0]);
+    assert.equal(summary.bySystemHealth.COOLDOWN.hitRate, null);
+    assert.equal(summary.bySystemHealth.COOLDOWN.wilson95, null);
+    assert.equal(summary.bySystemHealth.DEFENSIVE_MODE.losses, 1);
+
+    const empty = summarizeTrades([]);
+    assert.deepEqual([empty.trades, empty.hitRate, empty.binomialPValue, empty.longestWinRun], [0, null, null, 0]);
+});
+
+test('the same series and seed replay to the same report', () => {
+    const series = seededSeries(260, 21);
+    const first = runBacktest(series, { seed: 5 });
+    const second = runBacktest(series, { seed: 5 });
+    assert.deepEqual(second, first);
+    assert.equal(formatReport(second), formatReport(first));
+    assert.equal(first.periods, 260);
+    assert.equal(first.trades.length, 259);
+
+    // The seed drives the coin flips made before MIN_HISTORY periods are settled.
+    const reseeded = runBacktest(series, { seed: 6 });
+    assert.notDeepEqual(reseeded.trades.slice(0, 99).map(trade => trade.prediction), first.trades.slice(0, 99).map(trade => trade.prediction));
+});
+
+test('warmup periods are replayed but not scored', () => {
+    const series = seededSeries(160, 22);
+    const full = runBacktest(series, { seed: 2 });
+    const warmedUp = runBacktest(series, { seed: 2, warmup: 100 });
+    assert.equal(warmedUp.warmup, 100);
+    assert.equal(warmedUp.trades.length, 60);
+    assert.deepEqual(warmedUp.trades, full.trades.slice(-60));
+    assert.match(formatReport(warmedUp), /^SEROX AI backtest - 160 periods replayed, seed 2\nSettled predictions: 60 \(0 cooldown\)/);
+});
@@ -0,0 +1,102 @@
+// calibration.test.js - SEROX AI Calibration Tests
+// Isotonic and Platt fits, the sample cap and how often the model is refitted.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitCalibration, applyCalibration, createCalibrationState, recordCalibrationSample, restoreCalibrationState, getCalibrationReport } = require('../calibration.js');
+const { createSeededRandom } = require('../predictionLogic.js');
+
+// Samples whose true win probability is sigmoid(a * raw + b), raw uniform on [-1, 1].
+function logisticSamples(count, a, b, seed) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: count }, () => {
+        const raw = random() * 2 - 1;
+        return { raw, won: random() < 1 / (1 + Math.exp(-(a * raw + b))) };
+    });
+}
+
+test('nothing is fitted below the minimum sample count', () => {
+    const samples = logisticSamples(49, 2, 0, 1);
+    assert.equal(fitCalibration(samples, 'isotonic'), null);
+    assert.equal(fitCalibration(samples, 'platt'), null);
+    assert.equal(applyCalibration(null, 0.5), null);
+    assert.throws(() => createCalibrationState('histogram'), /Unknown calibration method/);
+});
+
+test('isotonic pools adjacent violators into a non-decreasing step function', () => {
+    // Win rates by raw score 1..5: 1, 0, 1/2, 1, 1 -> the first three pool to 1/2.
+    const pattern = [[1, true], [2, false], [3, true], [3, false], [4, true], [5, true]];
+    const samples = Array.from({ length: 10 }, () => pattern.map(([raw, won]) => ({ raw, won }))).flat();
+    const model = fitCalibration(samples, 'isotonic');
+    assert.deepEqual(model, { type: 'isotonic', thresholds: [1, 4], values: [0.5, 1] });
+    assert.equal(applyCalibration(model, 0), 0.5);
+    assert.equal(applyCalibration(model, 3.9), 0.5);
+    assert.equal(applyCalibration(model, 4), 1 - 1e-3);
+});
+
+test('an isotonic fit of noisy data is monotone and keeps the overall win rate', () => {
+    const samples = logisticSamples(2000, 3, 0.5, 2);
+    const model = fitCalibration(samples, 'isotonic');
+    for (let i = 1; i < model.values.length; i++) {
+        assert.ok(model.thresholds[i] > model.thresholds[i - 1]);
+        assert.ok(model.values[i] > model.values[i - 1]);
+    }
+    const fitted = samples.reduce((sum, sample) => sum + applyCalibration(model, sample.raw), 0) / samples.length;
+    const observed = samples.filter(sample => sample.won).length / samples.length;
+    assert.ok(Math.abs(fitted - observed) < 1e-3);
+});
+
+test('platt scaling recovers the logistic curve the samples were drawn from', () => {
+    const model = fitCalibration(logisticSamples(5000, 4, -1, 3), 'platt');
+    assert.equal(model.type, 'platt');
+    assert.ok(Math.abs(model.a - 4) < 0.4, `a = ${model.a}`);
+    assert.ok(Math.abs(model.b + 1) < 0.2, `b = ${model.b}`);
+    assert.ok(Math.abs(applyCalibration(model, 0.25) - 0.5) < 0.05);
+});
+
+test('platt scaling stays finite on perfectly separable samples', () => {
+    const samples = Array.from({ length: 100 }, (_, i) => ({ raw: i / 100, won: i >= 50 }));
+    const model = fitCalibration(samples, 'platt');
+    assert.ok(Number.isFinite(model.a) && Number.isFinite(model.b));
+    assert.ok(applyCalibration(model, 0) < 0.5 && applyCalibration(model, 1) > 0.5);
+    assert.ok(applyCalibration(model, 1) <= 1 - 1e-3);
+});
+
+test('the model is fitted at the minimum and then refitted on an interval', () => {
+    const state = createCalibrationState('isotonic');
+    const samples = logisticSamples(120, 2, 0, 4);
+    const record = (sample, i) => recordCalibrationSample(state, { period: String(i), ...sample });
+
+    samples.slice(0, 49).forEach(record);
+    assert.equal(state.model, null);
+    record(samples[49], 49);
+    const first = state.model;
+    assert.deepEqual(first, fitCalibration(state.samples, 'isotonic'));
+
+    const { refitInterval } = getCalibrationReport(state);
+    samples.slice(50, 49 + refitInterval).forEach((sample, i) => record(sample, 50 + i));
+    assert.equal(state.model, first);
+    record(samples[49 + refitInterval], 49 + refitInterval);
+    assert.notEqual(state.model, first);
+    assert.deepEqual(state.model, fitCalibration(state.samples, 'isotonic'));
+});
+
+test('only the latest 5000 samples are kept, and a restore refits at once', () => {
+    const state = createCalibrationState('platt');
+    logisticSamples(5100, 2, 0, 5).forEach((sample, i) => recordCalibrationSample(state, { period: String(i), ...sample }));
+    assert.equal(state.samples.length, 5000);
+    assert.equal(state.samples[0].period, '100');
+    assert.equal(state.samples[4999].period, '5099');
+
+    const snapshot = { samples: [...logisticSamples(100, 2, 0, 6), ...JSON.parse(JSON.stringify(state.samples))] };
+    const restored = restoreCalibrationState(createCalibrationState('platt'), snapshot);
+    assert.equal(restored.samples.length, 5000);
+    assert.deepEqual(restored.samples, state.samples);
+    assert.deepEqual(restored.model, fitCalibration(state.samples, 'platt'));
+
+    const report = getCalibrationReport(restored);
+    assert.equal(report.sampleCount, 5000);
+    assert.equal(report.fitted, true);
+    assert.equal(report.calibrated.count, 0);
+    assert.equal(report.raw.bins.reduce((sum, bin) => sum + bin.count, 0), 5000);
+});
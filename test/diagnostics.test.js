@@ -0,0 +1,115 @@
+// diagnostics.test.js - SEROX AI Randomness Diagnostics Tests
+// Runs, autocorrelation, chi-square and Markov tests on known-biased and known-fair
+// sequences, the overall verdict and the engine's diagnostics gate.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { digitDistributionTest, runsTest, autocorrelationTest, markovTransitions, computeDiagnostics } = require('../diagnostics.js');
+const { createSeededRandom, createPredictionEngine, normalizeModelConfig } = require('../predictionLogic.js');
+const { seededNumbers, rows } = require('./helpers.js');
+
+function toOutcomes(numbers) {
+    return numbers.map(number => (number >= 5 ? 'BIG' : 'SMALL'));
+}
+
+test('the chi-square test matches a hand-computed statistic and flags a loaded digit', () => {
+    const even = Array.from({ length: 100 }, (_, i) => i % 10);
+    const uniform = digitDistributionTest(even);
+    assert.equal(uniform.statistic, 0);
+    assert.equal(uniform.pValue, 1);
+
+    // 30 sevens and 10 of every other digit: expected 12, statistic (18^2 + 9 * 2^2) / 12 = 30.
+    const loaded = digitDistributionTest([...even, ...new Array(20).fill(7)]);
+    assert.equal(loaded.expected, 12);
+    assert.ok(Math.abs(loaded.statistic - 30) < 1e-12);
+    assert.ok(loaded.pValue < 0.001);
+    assert.equal(digitDistributionTest([]), null);
+});
+
+test('the runs test counts runs and flags streaks and alternation', () => {
+    const small = runsTest(['BIG', 'BIG', 'SMALL', 'SMALL', 'BIG']);
+    assert.deepEqual([small.big, small.small, small.runs], [3, 2, 3]);
+    assert.ok(Math.abs(small.expectedRuns - 3.4) < 1e-12);
+    assert.equal(runsTest(['BIG', 'BIG', 'BIG']), null);
+
+    const streaky = runsTest(Array.from({ length: 400 }, (_, i) => (Math.floor(i / 4) % 2 ? 'BIG' : 'SMALL')));
+    assert.equal(streaky.runs, 100);
+    assert.ok(streaky.z < -9 && streaky.pValue < 1e-6);
+
+    const alternating = runsTest(Array.from({ length: 400 }, (_, i) => (i % 2 ? 'BIG' : 'SMALL')));
+    assert.equal(alternating.runs, 400);
+    assert.ok(alternating.z > 9 && alternating.pValue < 1e-6);
+});
+
+test('autocorrelation picks out the lag a sequence repeats at', () => {
+    // Every draw repeated once: lag 1 correlates, and a period-3 cycle correlates at lag 3.
+    const doubled = seededNumbers(300, 1).flatMap(number => [number, number]);
+    const repeated = autocorrelationTest(doubled, 5);
+    assert.ok(repeated.lags[0].r > 0.4 && repeated.lags[0].outsideBand);
+    assert.ok(repeated.ljungBox.pValue < 1e-6);
+
+    const cycle = autocorrelationTest(Array.from({ length: 300 }, (_, i) => [1, 5, 9][i % 3]), 5);
+    assert.ok(cycle.lags[2].r > 0.95);
+    assert.ok(cycle.lags[0].r < 0 && cycle.lags[0].outsideBand);
+
+    assert.equal(autocorrelationTest(new Array(50).fill(4), 5), null);
+    assert.equal(autocorrelationTest([1, 2, 3], 5), null);
+});
+
+test('markov transitions expose an outcome that depends on the one before', () => {
+    const alternating = markovTransitions(Array.from({ length: 200 }, (_, i) => (i % 2 ? 'BIG' : 'SMALL')), 1);
+    assert.deepEqual(alternating.states.map(state => [state.from, state.probabilityBig]), [['BIG', 0], ['SMALL', 1]]);
+    assert.equal(alternating.df, 1);
+    assert.ok(alternating.pValue < 1e-6);
+    assert.equal(markovTransitions(['BIG'], 2), null);
+});
+
+test('a fair sequence passes every test', () => {
+    const numbers = seededNumbers(1000, 11);
+    assert.ok(digitDistributionTest(numbers).pValue > 0.01);
+    assert.ok(runsTest(toOutcomes(numbers)).pValue > 0.01);
+    assert.ok(autocorrelationTest(numbers, 10).ljungBox.pValue > 0.01);
+    assert.ok(markovTransitions(toOutcomes(numbers), 2).pValue > 0.01);
+
+    const report = computeDiagnostics(rows(numbers), { window: 1000 });
+    assert.equal(report.sampleSize, 1000);
+    assert.equal(report.testsRun, 5);
+    assert.ok(Math.abs(report.correctedAlpha - 0.01) < 1e-12);
+    assert.equal(report.verdict, 'NO_DETECTABLE_STRUCTURE');
+});
+
+test('the verdict needs enough samples and a p-value below the corrected alpha', () => {
+    assert.equal(computeDiagnostics(rows(seededNumbers(99, 12))).verdict, 'INSUFFICIENT_DATA');
+    assert.equal(computeDiagnostics([]).verdict, 'INSUFFICIENT_DATA');
+
+    const streaky = Array.from({ length: 400 }, (_, i) => (Math.floor(i / 4) % 2 ? 8 : 1));
+    assert.equal(computeDiagnostics(rows(streaky)).verdict, 'STRUCTURE_DETECTED');
+
+    // Only the latest `window` numbers count: a biased past scrolls out.
+    const history = rows([...streaky, ...seededNumbers(500, 13)]);
+    assert.equal(computeDiagnostics(history, { window: 500 }).verdict, 'NO_DETECTABLE_STRUCTURE');
+    assert.equal(computeDiagnostics(history, { window: 900 }).verdict, 'STRUCTURE_DETECTED');
+});
+
+test('the diagnostics gate is off by default and leaves the decision unchanged', () => {
+    assert.equal(normalizeModelConfig({}).orchestration.diagnosticsGate, 'off');
+
+    const history = rows(seededNumbers(200, 14)).map(entry => ({ ...entry, resultType: entry.actual >= 5 ? 'BIG' : 'SMALL' }));
+    const output = createPredictionEngine(null, null, { rng: createSeededRandom(14) }).predict(history);
+    assert.deepEqual(output.trace.diagnostics, { gate: 'off', verdict: null });
+    assert.equal(output.systemHealth, 'OK');
+    assert.deepEqual(output.trace.defensive, { active: false, reason: null, penalty: 1 });
+    assert.deepEqual(output, createPredictionEngine({ orchestration: { diagnosticsGate: 'off' } }, null, { rng: createSeededRandom(14) }).predict(history));
+});
+
+test('a stream that opts in to the defensive gate is penalized when the results show no structure', () => {
+    const history = rows(seededNumbers(200, 14)).map(entry => ({ ...entry, resultType: entry.actual >= 5 ? 'BIG' : 'SMALL' }));
+    const ungated = createPredictionEngine(null, null, { rng: createSeededRandom(14) }).predict(history);
+    const gated = createPredictionEngine({ orchestration: { diagnosticsGate: 'defensive' } }, null, { rng: createSeededRandom(14) }).predict(history);
+    assert.deepEqual(gated.trace.diagnostics, { gate: 'defensive', verdict: 'NO_DETECTABLE_STRUCTURE' });
+    assert.equal(gated.systemHealth, 'DEFENSIVE_MODE');
+    assert.equal(gated.trace.defensive.reason, 'NO_STRUCTURE');
+    assert.equal(gated.confidenceLevel, 0);
+    assert.equal(gated.finalDecision, ungated.finalDecision);
+    assert.ok(Math.abs(gated.finalConfidence - ungated.finalConfidence * 0.7) < 1e-12);
+});
@@ -0,0 +1,117 @@
+// engine.test.js - SEROX AI Prediction Engine Tests
+// createPredictionEngine() instances and the ultraAIPredict() compatibility wrapper.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPredictionEngine, createSeededRandom, ultraAIPredict, createModelState, configureModelDefaults, configureMLTraining } = require('../predictionLogic.js');
+const { seededHistory } = require('./helpers.js');
+
+const fixedClock = () => 1700000000000;
+
+test('predict uses the injected rng while history is short', () => {
+    const high = createPredictionEngine(null, null, { rng: () => 0.9 });
+    const low = createPredictionEngine(null, null, { rng: () => 0.1 });
+    const history = seededHistory(10, 1);
+    assert.equal(high.predict(history).finalDecision, 'BIG');
+    assert.equal(low.predict(history).finalDecision, 'SMALL');
+    assert.equal(high.predict(history).systemHealth, 'INSUFFICIENT_HISTORY');
+});
+
+test('predict leaves its input untouched', () => {
+    const engine = createPredictionEngine(null, null, { clock: fixedClock, rng: createSeededRandom(3) });
+    const history = seededHistory(150, 3);
+    const before = JSON.stringify(history);
+    engine.predict(history);
+    assert.equal(JSON.stringify(history), before);
+});
+
+test('engines with the same inputs agree and do not share state', () => {
+    const history = seededHistory(200, 5);
+    const withMLFeatures = history.map((row, i) => (i < 50 ? { ...row, mlFeatures: { last_move: 1, rsi_strength: 0.5 } } : row));
+    const a = createPredictionEngine(null, null, { clock: fixedClock, rng: createSeededRandom(9) });
+    const b = createPredictionEngine(null, null, { clock: fixedClock, rng: createSeededRandom(9) });
+    const c = createPredictionEngine(null, null, { clock: fixedClock, rng: createSeededRandom(9) });
+    const fromA = a.predict(withMLFeatures);
+    const fromB = b.predict(withMLFeatures);
+    assert.deepEqual(fromA, fromB);
+    assert.deepEqual(a.getState(), b.getState());
+    assert.notDeepEqual(a.getWeights(), c.getWeights());
+    assert.equal(a.getWeightsReport(1).history[0].timestamp, fixedClock());
+});
+
+test('settle scores the pending decision once', () => {
+    const engine = createPredictionEngine(null, null, { rng: () => 0.9 });
+    assert.equal(engine.settle('1001', 7), null);
+    engine.predict(seededHistory(10, 1));
+    const settled = engine.settle('1001', 7);
+    assert.equal(settled.status, 'Win');
+    assert.equal(settled.resultType, 'BIG');
+    assert.equal(engine.settle('1002', 7), null);
+    engine.predict(seededHistory(10, 1));
+    assert.equal(engine.settle('1002', 2).status, 'Loss');
+    assert.deepEqual(engine.getState().stats, { lastActualOutcome: 2, lastPredictedOutcome: 'BIG', lastConfidenceLevel: 1 });
+});
+
+test('getState and loadState round-trip through JSON', () => {
+    const history = seededHistory(150, 11);
+    const engine = createPredictionEngine({ orchestration: { voting: 'weighted' } }, null, { clock: fixedClock, rng: createSeededRandom(2) });
+    engine.predict(history);
+    const snapshot = JSON.parse(JSON.stringify(engine.getState()));
+
+    const restored = createPredictionEngine(null, snapshot, { clock: fixedClock, rng: createSeededRandom(2) });
+    assert.deepEqual(restored.getState(), engine.getState());
+    assert.equal(restored.getConfig().orchestration.voting, 'weighted');
+    assert.deepEqual(restored.predict(history), engine.predict(history));
+});
+
+test('an explicit config wins over the one in the snapshot', () => {
+    const saved = createPredictionEngine({ orchestration: { voting: 'weighted' } }).getState();
+    const engine = createPredictionEngine({ system: { MIN_HISTORY: 50 } }, saved);
+    assert.equal(engine.getConfig().orchestration.voting, 'count');
+    assert.equal(engine.getSystemState().MIN_HISTORY, 50);
+    assert.equal(engine.describeConfig().source, 'stream');
+});
+
+test('invalid configs and training options throw', () => {
+    assert.throws(() => createPredictionEngine({ orchestration: { mlWeight: 2 } }), /Invalid model config/);
+    assert.throws(() => createPredictionEngine(null, null, { training: { regularization: 'l3' } }), /regularization/);
+    const engine = createPredictionEngine(null, null, { training: { learningRate: 0.2 } });
+    assert.equal(engine.getWeightsReport(1).training.learningRate, 0.2);
+});
+
+test('an engine keeps the base and training config it was created with', (t) => {
+    t.after(() => {
+        configureModelDefaults({});
+        configureMLTraining({ learningRate: 0.05 });
+    });
+    const before = createPredictionEngine();
+    configureModelDefaults({ orchestration: { voting: 'weighted' }, system: { MIN_HISTORY: 60 } });
+    configureMLTraining({ learningRate: 0.2 });
+    const after = createPredictionEngine();
+
+    assert.equal(before.getConfig().orchestration.voting, 'count');
+    assert.equal(before.getSystemState().MIN_HISTORY, 100);
+    assert.equal(before.getWeightsReport(1).training.learningRate, 0.05);
+    assert.equal(after.getConfig().orchestration.voting, 'weighted');
+    assert.equal(after.getWeightsReport(1).training.learningRate, 0.2);
+
+    // Dropping a stream override falls back to the engine's own base, not the server's.
+    before.setConfig({ system: { MIN_HISTORY: 50 } });
+    before.setConfig(null);
+    assert.equal(before.getConfig().orchestration.voting, 'count');
+    assert.equal(before.getSystemState().MIN_HISTORY, 100);
+    assert.equal(before.describeConfig().source, 'base');
+
+    const injected = createPredictionEngine(null, null, { baseConfig: { system: { MIN_HISTORY: 40 } } });
+    injected.loadState(before.getState());
+    assert.equal(injected.getConfig().system.MIN_HISTORY, 40);
+    assert.equal(injected.getConfig().orchestration.voting, 'count');
+});
+
+test('ultraAIPredict still writes its summary into sharedStats', () => {
+    const sharedStats = {};
+    const output = ultraAIPredict(seededHistory(150, 4), sharedStats, createModelState());
+    assert.equal(sharedStats.lastPredictedOutcome, output.finalDecision);
+    assert.equal(sharedStats.status, 'Pending');
+    assert.equal(sharedStats.trace, undefined);
+});
@@ -0,0 +1,87 @@
+// events.test.js - SEROX AI Event Hub Tests
+// Live fan-out, Last-Event-ID replay, the replay buffer bound and replay.incomplete.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventHub } = require('../events.js');
+
+// Subscribes a fake client; returns { events(), close() } where events() parses what it was sent.
+function connect(hub, { streamId = null, lastEventId = null, query = {} } = {}) {
+    const req = new EventEmitter();
+    req.query = query;
+    req.get = name => (name === 'Last-Event-ID' ? lastEventId : undefined);
+    const chunks = [];
+    const res = { writeHead(status, headers) { this.status = status; this.headers = headers; }, write: chunk => chunks.push(chunk) };
+    hub.subscribe(req, res, streamId);
+    return {
+        res,
+        events: () => chunks.join('').split('\n\n').filter(block => block.includes('data: ')).map(block => {
+            const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+        }),
+        close: () => req.emit('close')
+    };
+}
+
+test('events fan out to every subscriber of their stream', () => {
+    const hub = createEventHub();
+    const everything = connect(hub);
+    const onlyA = connect(hub, { streamId: 'a' });
+    assert.equal(onlyA.res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(hub.clientCount(), 2);
+
+    const first = hub.publish('prediction.created', 'a', { period: '1001' });
+    hub.publish('prediction.created', 'b', { period: '2001' });
+    assert.match(first.id, /^\w+\.1$/);
+    assert.deepEqual(everything.events().map(event => event.data.streamId), ['a', 'b']);
+    assert.deepEqual(onlyA.events(), [{ id: first.id, type: 'prediction.created', data: first }]);
+
+    onlyA.close();
+    assert.equal(hub.clientCount(), 1);
+    hub.publish('prediction.created', 'a', { period: '1002' });
+    assert.equal(onlyA.events().length, 1);
+    everything.close();
+});
+
+test('a reconnect with Last-Event-ID gets the events it missed, for its stream', () => {
+    const hub = createEventHub();
+    const published = ['a', 'b', 'a', 'a'].map((streamId, i) => hub.publish('period.settled', streamId, { n: i }));
+
+    const resumed = connect(hub, { streamId: 'a', lastEventId: published[0].id });
+    assert.deepEqual(resumed.events().map(event => event.id), [published[2].id, published[3].id]);
+    const fromQuery = connect(hub, { query: { lastEventId: published[1].id } });
+    assert.deepEqual(fromQuery.events().map(event => event.data.data.n), [2, 3]);
+    const upToDate = connect(hub, { lastEventId: published[3].id });
+    assert.deepEqual(upToDate.events(), []);
+
+    // Replayed clients go on to receive live events.
+    const next = hub.publish('period.settled', 'a', { n: 4 });
+    assert.equal(resumed.events().pop().id, next.id);
+    for (const client of [resumed, fromQuery, upToDate]) client.close();
+});
+
+test('the replay buffer keeps only the latest bufferSize events', () => {
+    const hub = createEventHub({ bufferSize: 3 });
+    const published = [1, 2, 3, 4, 5].map(n => hub.publish('prediction.created', 'a', { n }));
+
+    // The oldest kept event is 3, so a client that saw 2 missed nothing that was dropped.
+    const justInTime = connect(hub, { lastEventId: published[1].id });
+    assert.deepEqual(justInTime.events().map(event => event.data.data.n), [3, 4, 5]);
+
+    const tooLate = connect(hub, { lastEventId: published[0].id });
+    assert.deepEqual(tooLate.events(), [{ id: undefined, type: 'replay.incomplete', data: { lastEventId: published[0].id } }]);
+    justInTime.close();
+    tooLate.close();
+});
+
+test('an id from another boot or a malformed one gets replay.incomplete', () => {
+    const hub = createEventHub();
+    hub.publish('prediction.created', 'a', {});
+    for (const lastEventId of ['0000.1', 'garbage', `${hub.publish('x', 'a', {}).id.split('.')[0]}.x`]) {
+        const client = connect(hub, { lastEventId });
+        assert.deepEqual(client.events().map(event => [event.type, event.data]), [['replay.incomplete', { lastEventId }]]);
+        client.close();
+    }
+    assert.equal(hub.clientCount(), 0);
+});
@@ -0,0 +1,89 @@
+// explain.test.js - SEROX AI Prediction Trace Tests
+// What the trace stored with each prediction records, and looking it up by period.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCycleState, runPredictionCycle, explainPrediction } = require('../predictionCycle.js');
+const { createSeededRandom } = require('../predictionLogic.js');
+const { seededNumbers } = require('./helpers.js');
+
+// A cycle state fed `length` seeded results for periods 1000, 1001, ...; it predicts 1000 + length.
+function replay(seed, length, config = null) {
+    const state = createCycleState({ config, rng: createSeededRandom(seed) });
+    seededNumbers(length, seed).forEach((number, i) => runPredictionCycle(state, { issueNumber: String(1000 + i), number }));
+    return state;
+}
+
+test('periods without a trace have no explanation', () => {
+    const state = replay(1, 20);
+    runPredictionCycle(state, { issueNumber: '990', number: 4 });
+    assert.equal(explainPrediction(state, '5000'), null);
+    assert.equal(explainPrediction(state, '1000'), null, 'first result, never predicted');
+    assert.equal(explainPrediction(state, '990'), null, 'late insert');
+    assert.notEqual(explainPrediction(state, '1019'), null);
+});
+
+test('a prediction made before MIN_HISTORY says so', () => {
+    const { prediction, trace } = explainPrediction(replay(1, 20), '1020');
+    assert.equal(prediction.status, 'Pending');
+    assert.equal(trace.outcome, 'INSUFFICIENT_HISTORY');
+    assert.equal(trace.settledPeriods, 20);
+    assert.equal(trace.thresholds.MIN_HISTORY, 100);
+});
+
+test('a model prediction records the ML features, their contributions, the advisors and the consensus', () => {
+    const state = replay(1, 150);
+    const { prediction, trace } = explainPrediction(state, '1150');
+    assert.equal(prediction.period, '1150');
+    assert.equal(prediction.prediction, trace.ml.prediction);
+    for (const field of ['trace', 'advisorVotes', 'mlFeatures']) assert.equal(prediction[field], undefined, field);
+    assert.equal(trace.outcome, 'PREDICTED');
+
+    let bigScore = 0, smallScore = 0;
+    for (const [feature, { value, weight, contribution, towards }] of Object.entries(trace.ml.contributions)) {
+        assert.equal(value, trace.features[feature]);
+        assert.equal(weight, state.engine.getWeights()[feature]);
+        assert.equal(contribution, value * weight);
+        assert.equal(towards, contribution > 0 ? 'BIG' : contribution < 0 ? 'SMALL' : null);
+        if (contribution > 0) bigScore += contribution;
+        else smallScore -= contribution;
+    }
+    assert.ok(Math.abs(trace.ml.bigScore - bigScore) < 1e-12 && Math.abs(trace.ml.smallScore - smallScore) < 1e-12);
+    assert.equal(trace.ml.prediction, bigScore > smallScore ? 'BIG' : 'SMALL');
+
+    const votes = Object.values(trace.advisors).filter(advisor => advisor.vote !== null);
+    assert.ok(votes.length > 0);
+    for (const advisor of Object.values(trace.advisors)) {
+        assert.equal(advisor.agrees, advisor.vote === null ? null : advisor.vote === trace.ml.prediction);
+        if (advisor.vote !== null) assert.equal(typeof advisor.source, 'string');
+    }
+    assert.equal(trace.consensus.voted, votes.length);
+    assert.equal(trace.consensus.agreeing, votes.filter(advisor => advisor.agrees).length);
+    assert.equal(trace.consensus.score, trace.consensus.agreeing / trace.consensus.voted);
+    assert.equal(trace.consensus.multiplier, trace.consensus.mlWeight + trace.consensus.score * trace.consensus.consensusWeight);
+    assert.equal(trace.finalConfidence, trace.ml.confidence * trace.consensus.multiplier);
+    assert.equal(trace.confidenceLevel, trace.finalConfidence > trace.thresholds.confidenceLevelCutoff ? 1 : 0);
+    assert.deepEqual(trace.defensive, { active: false, reason: null, penalty: 1 });
+    assert.deepEqual(trace.diagnostics, { gate: 'off', verdict: null });
+});
+
+test('the trace names why a prediction was defensive', () => {
+    const badTrend = explainPrediction(replay(3, 150), '1150').trace;
+    assert.deepEqual(badTrend.defensive, { active: true, reason: 'BAD_TREND', penalty: 0.7 });
+    assert.equal(badTrend.confidenceLevel, 0);
+    assert.equal(badTrend.thresholds.DEFENSIVE_MODE_ACTIVE, true);
+
+    const noStructure = explainPrediction(replay(1, 150, { orchestration: { diagnosticsGate: 'defensive', defensivePenalty: 0.5 } }), '1150').trace;
+    assert.deepEqual(noStructure.defensive, { active: true, reason: 'NO_STRUCTURE', penalty: 0.5 });
+    assert.deepEqual(noStructure.diagnostics, { gate: 'defensive', verdict: 'NO_DETECTABLE_STRUCTURE' });
+});
+
+test('a cooldown records the verdict that caused it', () => {
+    const state = replay(1, 150, { orchestration: { diagnosticsGate: 'cooldown' } });
+    const { prediction, trace } = explainPrediction(state, '1150');
+    assert.equal(prediction.prediction, 'COOLDOWN');
+    assert.equal(trace.outcome, 'COOLDOWN');
+    assert.deepEqual(trace.diagnostics, { gate: 'cooldown', verdict: 'NO_DETECTABLE_STRUCTURE' });
+    assert.equal(trace.confidenceLevel, 0);
+    assert.ok(['BIG', 'SMALL'].includes(trace.ml.prediction));
+});
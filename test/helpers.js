@@ -0,0 +1,30 @@
+// helpers.js - SEROX AI Test Helpers
+// Shared builders for the newest-first history rows the tests feed to the engine.
+// =================================================================
+const { createSeededRandom } = require('../predictionLogic.js');
+
+function seededNumbers(length, seed) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length }, () => Math.floor(random() * 10));
+}
+
+// Newest-first settled rows for oldest-first numbers.
+function rows(numbers, firstPeriod = 1000) {
+    return numbers.map((number, i) => ({ period: String(firstPeriod + i), actual: number, actualNumber: number })).reverse();
+}
+
+function withResultType(row) {
+    return { ...row, resultType: row.actual >= 5 ? 'BIG' : 'SMALL' };
+}
+
+// Newest-first settled rows for oldest-first BIG/SMALL outcomes.
+function outcomeRows(outcomes) {
+    return rows(outcomes.map(outcome => (outcome === 'BIG' ? 7 : 2))).map(withResultType);
+}
+
+// Newest-first settled rows from a seeded series, the newest numbered 1000 + length.
+function seededHistory(length, seed) {
+    return rows(seededNumbers(length, seed).reverse(), 1001).map(withResultType);
+}
+
+module.exports = { seededNumbers, rows, outcomeRows, seededHistory };
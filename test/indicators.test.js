@@ -0,0 +1,68 @@
+// indicators.test.js - SEROX AI Indicator Tests
+// Series are newest-first, the way the prediction cycle keeps history.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSMA, calculateEMA, calculateStdDev, calculateRSI, getBigSmallFromNumber } = require('../predictionLogic.js');
+
+test('calculateSMA averages the newest `period` values', () => {
+    assert.equal(calculateSMA([1, 2, 3, 4], 2), 1.5);
+    assert.equal(calculateSMA([1, 2, 3, 4], 4), 2.5);
+});
+
+test('calculateSMA returns null without enough data', () => {
+    assert.equal(calculateSMA([1, 2], 3), null);
+    assert.equal(calculateSMA([1, 2], 0), null);
+    assert.equal(calculateSMA('12', 1), null);
+});
+
+test('calculateEMA seeds with the oldest SMA and smooths forward', () => {
+    // Oldest first the series is 1, 2, 3: seed (1 + 2) / 2, then 3 * 2/3 + 1.5 * 1/3.
+    assert.ok(Math.abs(calculateEMA([3, 2, 1], 2) - 2.5) < 1e-12);
+    assert.equal(calculateEMA([7, 7, 7, 7, 7], 3), 7);
+    assert.equal(calculateEMA([4, 2], 2), 3);
+});
+
+test('calculateEMA returns null without enough data', () => {
+    assert.equal(calculateEMA([1, 2], 3), null);
+    assert.equal(calculateEMA([1, 2], 0), null);
+});
+
+test('calculateStdDev is the sample standard deviation of the newest values', () => {
+    assert.ok(Math.abs(calculateStdDev([2, 4, 4, 4, 5, 5, 7, 9], 8) - Math.sqrt(32 / 7)) < 1e-12);
+    assert.equal(calculateStdDev([5, 5, 5], 3), 0);
+    assert.equal(calculateStdDev([1, 9, 100], 2), Math.sqrt(32));
+});
+
+test('calculateStdDev needs at least two values', () => {
+    assert.equal(calculateStdDev([1], 1), null);
+    assert.equal(calculateStdDev([1, 2], 3), null);
+});
+
+test('calculateRSI is 100 for a rising series and 0 for a falling one', () => {
+    assert.equal(calculateRSI([5, 4, 3, 2, 1], 4), 100);
+    assert.equal(calculateRSI([1, 2, 3, 4, 5], 4), 0);
+});
+
+test('calculateRSI is 50 when gains and losses balance', () => {
+    assert.equal(calculateRSI([1, 2, 1, 2, 1], 4), 50);
+});
+
+test('calculateRSI applies Wilder smoothing past the first period', () => {
+    // Oldest first 5, 5, 0, 9: averages 0 / 2.5, then gain 4.5 and loss 1.25 after the 9.
+    const rs = 4.5 / 1.25;
+    assert.ok(Math.abs(calculateRSI([9, 0, 5, 5], 2) - (100 - 100 / (1 + rs))) < 1e-12);
+});
+
+test('calculateRSI needs period + 1 values', () => {
+    assert.equal(calculateRSI([1, 2, 3], 3), null);
+});
+
+test('getBigSmallFromNumber splits 0-4 from 5-9', () => {
+    assert.equal(getBigSmallFromNumber(0), 'SMALL');
+    assert.equal(getBigSmallFromNumber(4), 'SMALL');
+    assert.equal(getBigSmallFromNumber('5'), 'BIG');
+    assert.equal(getBigSmallFromNumber(9), 'BIG');
+    assert.equal(getBigSmallFromNumber(10), null);
+    assert.equal(getBigSmallFromNumber(null), null);
+});
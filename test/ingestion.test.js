@@ -0,0 +1,154 @@
+// ingestion.test.js - SEROX AI Ingestion Tests
+// The ingestor driven by the stub adapter: submission order, gaps, backfill and backoff.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubAdapter, createIngestor } = require('../ingestion.js');
+
+function results(from, to) {
+    return Array.from({ length: to - from + 1 }, (_, i) => ({ issueNumber: String(from + i), number: (from + i) % 10 }));
+}
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// An ingestor feeding a fake stream that only remembers what it was given.
+function createHarness(adapter, options = {}) {
+    const submitted = [];
+    const ingestor = createIngestor({
+        streamId: 'test',
+        adapter,
+        getLastPeriod: () => (submitted.length > 0 ? submitted[submitted.length - 1].issueNumber : options.lastPeriod ?? null),
+        submit: async result => { submitted.push(result); },
+        logger: silentLogger,
+        ...options
+    });
+    return { ingestor, submitted, periods: () => submitted.map(result => result.issueNumber) };
+}
+
+test('results are submitted oldest-first and never twice', async () => {
+    const adapter = createStubAdapter(results(1001, 1005).reverse());
+    const { ingestor, periods } = createHarness(adapter);
+    assert.equal(await ingestor.pollOnce(), 5);
+    assert.equal(await ingestor.pollOnce(), 0);
+    adapter.push(...results(1006, 1007));
+    assert.equal(await ingestor.pollOnce(), 2);
+    assert.deepEqual(periods(), results(1001, 1007).map(result => result.issueNumber));
+    assert.deepEqual(ingestor.getStatus().gaps, []);
+    assert.equal(ingestor.getStatus().ingested, 7);
+});
+
+test('a gap past the latest page is filled by backfilling older pages', async () => {
+    const adapter = createStubAdapter(results(1001, 1010));
+    const { ingestor, periods } = createHarness(adapter, { backfillPageSize: 4 });
+    await ingestor.pollOnce();
+    adapter.push(...results(1011, 1035));
+
+    assert.equal(await ingestor.pollOnce(), 25);
+    assert.deepEqual(periods(), results(1001, 1035).map(result => result.issueNumber));
+    const status = ingestor.getStatus();
+    assert.equal(status.backfilled, 15);
+    assert.deepEqual(status.gaps, []);
+});
+
+test('periods missing upstream are recorded as gaps', async () => {
+    const adapter = createStubAdapter([...results(1001, 1003), ...results(1007, 1008)]);
+    const { ingestor, periods } = createHarness(adapter, { gapLogLimit: 1 });
+    await ingestor.pollOnce();
+    assert.deepEqual(periods(), ['1001', '1002', '1003', '1007', '1008']);
+    assert.deepEqual(ingestor.getStatus().gaps.map(({ after, before, missing }) => ({ after, before, missing })), [{ after: '1003', before: '1007', missing: '3' }]);
+
+    adapter.push(...results(1010, 1010));
+    await ingestor.pollOnce();
+    const gaps = ingestor.getStatus().gaps;
+    assert.equal(gaps.length, 1);
+    assert.deepEqual([gaps[0].after, gaps[0].before, gaps[0].missing], ['1008', '1010', '1']);
+});
+
+test('a day rollover is not a gap, and a skipped day start is one of unknown size', async () => {
+    const adapter = createStubAdapter([
+        { issueNumber: '20250101100010479', number: 1 },
+        { issueNumber: '20250101100010480', number: 2 },
+        { issueNumber: '20250102100010001', number: 3 },
+        { issueNumber: '20250102100010002', number: 4 },
+        { issueNumber: '20250103100010005', number: 5 }
+    ]);
+    const { ingestor, submitted } = createHarness(adapter);
+    await ingestor.pollOnce();
+    assert.equal(submitted.length, 5);
+    const gaps = ingestor.getStatus().gaps;
+    assert.equal(gaps.length, 1);
+    assert.deepEqual([gaps[0].after, gaps[0].before, gaps[0].missing], ['20250102100010002', '20250103100010005', null]);
+});
+
+test('the first poll backfills initialBackfill periods', async () => {
+    const adapter = createStubAdapter(results(1001, 1050));
+    const { ingestor, periods } = createHarness(adapter, { initialBackfill: 25, backfillPageSize: 10 });
+    assert.equal(await ingestor.pollOnce(), 25);
+    assert.deepEqual(periods(), results(1026, 1050).map(result => result.issueNumber));
+    assert.equal(ingestor.getStatus().backfilled, 15);
+});
+
+test('a stream that moved on while polling is not fed stale results', async () => {
+    const adapter = createStubAdapter(results(1001, 1004));
+    const submitted = [];
+    let lastPeriod = null;
+    const ingestor = createIngestor({
+        streamId: 'test',
+        adapter,
+        getLastPeriod: () => lastPeriod,
+        submit: async result => {
+            submitted.push(result.issueNumber);
+            // Another writer jumps the stream ahead after the first result.
+            lastPeriod = submitted.length === 1 ? '1003' : result.issueNumber;
+        },
+        logger: silentLogger
+    });
+    assert.equal(await ingestor.pollOnce(), 2);
+    assert.deepEqual(submitted, ['1001', '1004']);
+});
+
+test('failed polls back off exponentially up to the cap and reset on success', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const adapter = createStubAdapter(results(1001, 1003));
+    let polls = 0;
+    const fetchLatest = adapter.fetchLatest;
+    adapter.fetchLatest = () => { polls++; return fetchLatest(); };
+    const { ingestor, submitted } = createHarness(adapter, { intervalMs: 10000, backoffInitialMs: 100, backoffFactor: 2, backoffMaxMs: 300 });
+    // tick() awaits the adapter, so let it settle after each timer fires.
+    const advance = async ms => {
+        t.mock.timers.tick(ms);
+        for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+    };
+
+    adapter.failNext(4);
+    ingestor.start();
+    await advance(0);
+    assert.equal(polls, 1);
+    assert.equal(ingestor.getStatus().consecutiveFailures, 1);
+    assert.equal(ingestor.getStatus().lastError, 'Simulated stub failure');
+
+    for (const [delayMs, failures] of [[100, 2], [200, 3], [300, 4]]) {
+        await advance(delayMs - 1);
+        assert.equal(polls, failures - 1);
+        await advance(1);
+        assert.equal(polls, failures);
+        assert.equal(ingestor.getStatus().consecutiveFailures, failures);
+    }
+
+    await advance(300);
+    assert.equal(polls, 5);
+    const status = ingestor.getStatus();
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.lastError, null);
+    assert.equal(submitted.length, 3);
+
+    await advance(9999);
+    assert.equal(polls, 5);
+    await advance(1);
+    assert.equal(polls, 6);
+
+    ingestor.stop();
+    assert.equal(ingestor.getStatus().running, false);
+    await advance(20000);
+    assert.equal(polls, 6);
+});
@@ -0,0 +1,105 @@
+// metrics.test.js - SEROX AI Metrics Registry Tests
+// The Prometheus text output for counters, gauges, histograms and collectors, and the per-stream gauges.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry, registerStreamMetrics } = require('../metrics.js');
+const { createCycleState, runPredictionCycle } = require('../predictionCycle.js');
+const { createSeededRandom } = require('../predictionLogic.js');
+const { seededNumbers } = require('./helpers.js');
+
+// A stream fed a seeded run of results, as the registry in streams.js holds it.
+function seededStream(id, config) {
+    const state = createCycleState({ config, rng: createSeededRandom(4) });
+    seededNumbers(150, 4).forEach((number, i) => runPredictionCycle(state, { issueNumber: String(1000 + i), number }));
+    return { id, state };
+}
+
+test('counters, gauges and histograms render in the Prometheus text format', () => {
+    const metrics = createMetricsRegistry();
+    const errors = metrics.counter('test_errors_total', 'Errors by code.', ['status', 'code']);
+    const clients = metrics.gauge('test_clients', 'Connected clients.');
+    const duration = metrics.histogram('test_duration_seconds', 'Cycle time.', ['stream'], [0.5, 0.1]);
+
+    errors.inc({ status: 400, code: 'INVALID_JSON' });
+    errors.inc({ status: 400, code: 'INVALID_JSON' }, 2);
+    errors.inc({ status: 409, code: 'STALE_PERIOD' });
+    clients.set({}, 3);
+    duration.observe({ stream: 'default' }, 0.05);
+    duration.observe({ stream: 'default' }, 0.3);
+    duration.observe({ stream: 'default' }, 2);
+
+    assert.equal(metrics.render(), [
+        '# HELP test_errors_total Errors by code.',
+        '# TYPE test_errors_total counter',
+        'test_errors_total{status="400",code="INVALID_JSON"} 3',
+        'test_errors_total{status="409",code="STALE_PERIOD"} 1',
+        '# HELP test_clients Connected clients.',
+        '# TYPE test_clients gauge',
+        'test_clients 3',
+        '# HELP test_duration_seconds Cycle time.',
+        '# TYPE test_duration_seconds histogram',
+        'test_duration_seconds_bucket{stream="default",le="0.1"} 1',
+        'test_duration_seconds_bucket{stream="default",le="0.5"} 2',
+        'test_duration_seconds_bucket{stream="default",le="+Inf"} 3',
+        'test_duration_seconds_sum{stream="default"} 2.35',
+        'test_duration_seconds_count{stream="default"} 3',
+        ''
+    ].join('\n'));
+});
+
+test('label values are escaped and special values spelled out', () => {
+    const metrics = createMetricsRegistry();
+    const gauge = metrics.gauge('test_value', 'Values.', ['name']);
+    gauge.set({ name: 'say "hi"\\\nbye' }, Infinity);
+    gauge.set({ name: 'nan' }, NaN);
+    const lines = metrics.render().split('\n');
+    assert.equal(lines[2], 'test_value{name="say \\"hi\\"\\\\\\nbye"} +Inf');
+    assert.equal(lines[3], 'test_value{name="nan"} NaN');
+});
+
+test('collectors run on every render and a reset gauge drops stale series', () => {
+    const metrics = createMetricsRegistry();
+    const weight = metrics.gauge('test_weight', 'Weights.', ['feature']);
+    let features = { rsi: 0.5, macd: -0.25 };
+    metrics.addCollector(() => {
+        weight.reset();
+        for (const [feature, value] of Object.entries(features)) weight.set({ feature }, value);
+    });
+    assert.match(metrics.render(), /test_weight\{feature="macd"\} -0\.25/);
+    features = { rsi: 0.75 };
+    const output = metrics.render();
+    assert.match(output, /test_weight\{feature="rsi"\} 0\.75/);
+    assert.doesNotMatch(output, /macd/);
+});
+
+test('a metric without series renders only its help and type', () => {
+    const metrics = createMetricsRegistry();
+    metrics.counter('test_empty_total', 'Nothing yet.');
+    assert.equal(metrics.render(), '# HELP test_empty_total Nothing yet.\n# TYPE test_empty_total counter\n');
+});
+
+test('misuse is refused', () => {
+    const metrics = createMetricsRegistry();
+    const counter = metrics.counter('test_total', 'Total.', ['code']);
+    assert.throws(() => metrics.gauge('test_total', 'Again.'), /already registered/);
+    assert.throws(() => counter.inc({}), /needs label "code"/);
+    assert.throws(() => counter.inc({ code: 'X' }, -1), /only go up/);
+});
+
+test('the defensive mode gauge follows the current prediction, whatever put it there', () => {
+    const gated = seededStream('gated', { orchestration: { diagnosticsGate: 'defensive' } });
+    const open = seededStream('open', null);
+    assert.equal(gated.state.currentPrediction.systemHealth, 'DEFENSIVE_MODE');
+    assert.equal(gated.state.engine.getSystemState().DEFENSIVE_MODE_ACTIVE, false);
+    assert.notEqual(open.state.currentPrediction.systemHealth, 'DEFENSIVE_MODE');
+
+    const metrics = createMetricsRegistry();
+    registerStreamMetrics(metrics, () => [gated, open, { id: 'empty', state: createCycleState() }]);
+    const output = metrics.render();
+    assert.match(output, /^serox_defensive_mode\{stream="gated"\} 1$/m);
+    assert.match(output, /^serox_defensive_mode\{stream="open"\} 0$/m);
+    assert.match(output, /^serox_defensive_mode\{stream="empty"\} 0$/m);
+    assert.match(output, /^serox_history_settled_periods\{stream="gated"\} 150$/m);
+    assert.doesNotMatch(output, /serox_rolling_win_rate\{stream="empty"\}/);
+});
@@ -0,0 +1,61 @@
+// periods.test.js - SEROX AI Period Id Tests
+// Ordering, succession across day rollovers and the gap count between two ids.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidPeriodId, comparePeriods, isSuccessor, periodsBetween, nextPeriodId } = require('../periods.js');
+
+test('ids are digit strings compared as integers, beyond Number precision', () => {
+    assert.equal(isValidPeriodId('20250101100010001'), true);
+    assert.equal(isValidPeriodId('1'.repeat(32)), true);
+    assert.equal(isValidPeriodId('1'.repeat(33)), false);
+    assert.equal(isValidPeriodId(''), false);
+    assert.equal(isValidPeriodId('12a'), false);
+    assert.equal(isValidPeriodId(12), false);
+    assert.equal(comparePeriods('90071992547409931', '90071992547409930'), 1);
+    assert.equal(comparePeriods('0099', '100'), -1);
+    assert.equal(comparePeriods('42', '042'), 0);
+});
+
+test('the next id keeps the zero padding', () => {
+    assert.equal(nextPeriodId('0099'), '0100');
+    assert.equal(nextPeriodId('20250101100010480'), '20250101100010481');
+});
+
+test('a successor is id + 1 within a day', () => {
+    assert.equal(isSuccessor('1000', '1001'), true);
+    assert.equal(isSuccessor('1000', '1002'), false);
+    assert.equal(isSuccessor('1001', '1000'), false);
+    assert.equal(isSuccessor('20250101100010479', '20250101100010480'), true);
+});
+
+test('the first period of the next day follows the last one of the day before', () => {
+    assert.equal(isSuccessor('20250101100010480', '20250102100010001'), true);
+    assert.equal(isSuccessor('20250101100010480', '20250102100010000'), true);
+    assert.equal(isSuccessor('20250131100010480', '20250201100010001'), true);
+    assert.equal(isSuccessor('20241231100010480', '20250101100010001'), true);
+    assert.equal(isSuccessor('20240228100010480', '20240229100010001'), true);
+});
+
+test('the day-rollover heuristic rejects anything but the first counter of the very next day', () => {
+    // Not the first counter of the day.
+    assert.equal(isSuccessor('20250101100010480', '20250102100010002'), false);
+    assert.equal(isSuccessor('20250101100010480', '20250102100010011'), false);
+    // Two days later.
+    assert.equal(isSuccessor('20250101100010480', '20250103100010001'), false);
+    // The counter did not restart.
+    assert.equal(isSuccessor('20250101000000000', '20250102000000001'), false);
+    // Different suffix lengths, or a prefix that is not a date.
+    assert.equal(isSuccessor('20250101100010480', '2025010210001001'), false);
+    assert.equal(isSuccessor('20250230100010480', '20250301100010001'), false);
+    assert.equal(isSuccessor('19990101100010480', '19990102100010001'), false);
+});
+
+test('the periods in between are counted within a day and unknown across one', () => {
+    assert.equal(periodsBetween('1000', '1001'), 0n);
+    assert.equal(periodsBetween('1000', '1004'), 3n);
+    assert.equal(periodsBetween('1004', '1000'), 0n);
+    assert.equal(periodsBetween('20250101100010480', '20250102100010001'), 0n);
+    assert.equal(periodsBetween('20250102100010001', '20250102100010011'), 9n);
+    assert.equal(periodsBetween('20250101100010470', '20250102100010005'), null);
+});
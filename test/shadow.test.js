@@ -0,0 +1,104 @@
+// shadow.test.js - SEROX AI Shadow Strategy Tests
+// Baseline decisions, settlement alongside the live model, persistence and the leaderboard.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseShadowStrategies, createShadowSet, computeLeaderboard } = require('../shadow.js');
+const { createCycleState, runPredictionCycle, serializeCycleState, restoreCycleState } = require('../predictionCycle.js');
+const { createSeededRandom } = require('../predictionLogic.js');
+const { outcomeRows } = require('./helpers.js');
+
+function seededResults(length, seed) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length }, (_, i) => ({ issueNumber: String(20240000 + i), number: Math.floor(random() * 10) }));
+}
+
+test('baselines decide from the latest settled outcomes', () => {
+    const shadow = createShadowSet([{ type: 'repeatLast' }, { type: 'oppositeLast' }, { type: 'majority', window: 3 }, { type: 'majority', window: 4, name: 'tie' }]);
+    const decisions = shadow.predict(outcomeRows(['SMALL', 'BIG', 'BIG', 'SMALL', 'SMALL']));
+    assert.deepEqual(decisions, { repeatLast: 'SMALL', oppositeLast: 'BIG', majority3: 'SMALL', tie: 'SMALL' });
+    assert.deepEqual(shadow.settle('1005', 8), { repeatLast: 'Loss', oppositeLast: 'Win', majority3: 'Loss', tie: 'Loss' });
+    assert.deepEqual(shadow.settle('1006', 8), { repeatLast: null, oppositeLast: null, majority3: null, tie: null });
+});
+
+test('a coin flip resumes its sequence after a restore', () => {
+    const history = outcomeRows(['BIG']);
+    const original = createShadowSet([{ type: 'coinFlip', seed: 5 }]);
+    for (let i = 0; i < 7; i++) original.predict(history);
+    const restored = createShadowSet([{ type: 'coinFlip', seed: 5 }]);
+    restored.loadState(JSON.parse(JSON.stringify(original.getState())));
+    for (let i = 0; i < 20; i++) assert.deepEqual(restored.predict(history), original.predict(history));
+});
+
+test('strategy definitions are validated', () => {
+    assert.equal(parseShadowStrategies('').length, 4);
+    assert.throws(() => parseShadowStrategies('[{"type":"martingale"}]'), /Unknown shadow strategy type/);
+    assert.throws(() => parseShadowStrategies('[{"type":"engine"}]'), /needs a name/);
+    assert.throws(() => parseShadowStrategies('[{"type":"repeatLast"},{"type":"repeatLast"}]'), /Duplicate/);
+    assert.throws(() => parseShadowStrategies('[{"type":"majority","window":0}]'), /window/);
+    assert.throws(() => parseShadowStrategies('[{"type":"repeatLast","name":"live"}]'), /Invalid shadow strategy name/);
+});
+
+test('shadow results are recorded only on periods the live prediction settles', () => {
+    const state = createCycleState({ rng: createSeededRandom(2), shadowStrategies: [{ type: 'repeatLast' }] });
+    const results = seededResults(30, 2);
+    results.slice(0, 20).forEach(result => runPredictionCycle(state, result));
+    runPredictionCycle(state, { issueNumber: String(20240000 + 25), number: 3 });
+
+    const settledRows = state.history.filter(entry => entry.actual !== null);
+    assert.equal(settledRows.filter(entry => entry.shadowResults).length, 19);
+    assert.equal(settledRows[0].shadowResults, undefined);
+    assert.deepEqual(state.history[0].shadowPredictions, { repeatLast: 'SMALL' });
+    for (const entry of settledRows.filter(row => row.shadowResults)) {
+        const previous = settledRows[settledRows.indexOf(entry) + 1];
+        assert.equal(entry.shadowResults.repeatLast, previous.resultType === entry.resultType ? 'Win' : 'Loss');
+    }
+});
+
+test('an engine strategy with the live config and seed tracks the live model', () => {
+    const state = createCycleState({ rng: createSeededRandom(4), shadowStrategies: [{ type: 'engine', name: 'twin', seed: 4 }] });
+    for (const result of seededResults(260, 4)) runPredictionCycle(state, result);
+    const leaderboard = computeLeaderboard(state.history, state.shadow.names());
+    const [twin] = leaderboard.strategies;
+    assert.equal(twin.wins, leaderboard.live.wins);
+    assert.equal(twin.losses, leaderboard.live.losses);
+    assert.equal(twin.versusLive.liveOnlyWins + twin.versusLive.strategyOnlyWins, 0);
+    assert.equal(twin.versusLive.verdict, 'NO_SIGNIFICANT_DIFFERENCE');
+    assert.deepEqual(state.shadow.getState().twin.engine.model.mlFeatureWeights, state.engine.getWeights());
+});
+
+test('shadow state survives a serialize and restore', () => {
+    const definitions = [{ type: 'coinFlip', seed: 3 }, { type: 'engine', name: 'weighted', config: { orchestration: { voting: 'weighted' } } }];
+    const state = createCycleState({ rng: createSeededRandom(6), shadowStrategies: definitions });
+    const results = seededResults(160, 6);
+    results.slice(0, 150).forEach(result => runPredictionCycle(state, result));
+    const restored = restoreCycleState(createCycleState({ rng: createSeededRandom(6), shadowStrategies: definitions }), JSON.parse(JSON.stringify(serializeCycleState(state))));
+    assert.deepEqual(restored.shadow.getState(), state.shadow.getState());
+    for (const result of results.slice(150)) {
+        runPredictionCycle(state, result);
+        runPredictionCycle(restored, result);
+        assert.deepEqual(restored.history[0].shadowPredictions, state.history[0].shadowPredictions);
+    }
+});
+
+test('the leaderboard pairs strategies with the live model using McNemar', () => {
+    // 10 periods only live won, 2 only the strategy won, 8 both won; exact p = 2 * P(X <= 2 | n = 12).
+    const history = [
+        ...Array.from({ length: 10 }, () => ({ status: 'Win', shadowResults: { challenger: 'Loss' } })),
+        ...Array.from({ length: 2 }, () => ({ status: 'Loss', shadowResults: { challenger: 'Win' } })),
+        ...Array.from({ length: 8 }, () => ({ status: 'Win', shadowResults: { challenger: 'Win' } })),
+        { status: 'Cooldown', shadowResults: { challenger: 'Win' } },
+        { status: 'Pending', actual: null }
+    ].map((row, i) => ({ period: String(2000 - i), actual: 1, ...row }));
+
+    const leaderboard = computeLeaderboard(history, ['challenger']);
+    assert.equal(leaderboard.settledPeriods, 21);
+    assert.deepEqual([leaderboard.live.wins, leaderboard.live.losses, leaderboard.live.abstentions], [18, 2, 1]);
+    const [challenger] = leaderboard.strategies;
+    assert.deepEqual([challenger.wins, challenger.losses], [11, 10]);
+    assert.equal(challenger.versusLive.pairedPeriods, 20);
+    assert.ok(Math.abs(challenger.versusLive.pValue - 158 / 4096) < 1e-12);
+    assert.equal(challenger.versusLive.verdict, 'LOSES_TO_LIVE');
+    assert.equal(computeLeaderboard(history, ['challenger'], { alpha: 0.01 }).strategies[0].versusLive.verdict, 'NO_SIGNIFICANT_DIFFERENCE');
+    assert.equal(computeLeaderboard(history, ['challenger'], { window: 10 }).settledPeriods, 10);
+});
@@ -0,0 +1,54 @@
+// statistics.test.js - SEROX AI Statistical Helper Tests
+// Wilson intervals, exact binomial tests and the chi-square and normal tails against published values.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wilsonInterval, binomialTest, chiSquarePValue, normalCdf, twoSidedNormalPValue } = require('../statistics.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+test('the Wilson interval matches published values and stays within [0, 1]', () => {
+    const eightOfTen = wilsonInterval(8, 10);
+    assertClose(eightOfTen.lower, 0.4902, 1e-4, '8/10 lower');
+    assertClose(eightOfTen.upper, 0.9433, 1e-4, '8/10 upper');
+    const half = wilsonInterval(50, 100);
+    assertClose(half.lower, 0.4038, 1e-4, '50/100 lower');
+    assertClose(half.lower + half.upper, 1, 1e-12, '50/100 symmetry');
+    assert.equal(wilsonInterval(0, 10).lower, 0);
+    assertClose(wilsonInterval(0, 10).upper, 0.2775, 1e-4, '0/10 upper');
+    assertClose(wilsonInterval(10, 10).upper, 1, 1e-12, '10/10 upper');
+    assert.ok(wilsonInterval(8, 10, 1).upper < eightOfTen.upper);
+    assert.equal(wilsonInterval(0, 0), null);
+});
+
+test('the exact binomial test matches hand-computed two-sided p-values', () => {
+    // P(X <= 3) + P(X >= 7) for X ~ Bin(10, 0.5) is 352/1024.
+    assertClose(binomialTest(7, 10), 352 / 1024, 1e-12, '7/10');
+    assertClose(binomialTest(3, 10), 352 / 1024, 1e-12, '3/10');
+    assertClose(binomialTest(9, 10), 22 / 1024, 1e-12, '9/10');
+    assertClose(binomialTest(10, 10), 2 / 1024, 1e-12, '10/10');
+    assert.equal(binomialTest(5, 10), 1);
+    assertClose(binomialTest(60, 100), 0.05689, 1e-5, '60/100');
+    // Against p = 0.2, every outcome no likelier than P(X = 3): k = 0 and k >= 3.
+    assertClose(binomialTest(3, 10, 0.2), 0.4295747, 1e-7, '3/10 at 0.2');
+    assert.equal(binomialTest(0, 0), null);
+    assert.equal(binomialTest(0, 5, 0), 1);
+    assert.equal(binomialTest(1, 5, 0), 0);
+});
+
+test('the chi-square and normal tails match table values', () => {
+    assertClose(chiSquarePValue(3.841458820694124, 1), 0.05, 1e-9, 'df 1');
+    assertClose(chiSquarePValue(18.307038053275146, 10), 0.05, 1e-9, 'df 10');
+    assertClose(chiSquarePValue(21.665994333461924, 9), 0.01, 1e-9, 'df 9');
+    assert.equal(chiSquarePValue(0, 4), 1);
+    assert.equal(chiSquarePValue(3, 0), null);
+    assert.equal(chiSquarePValue(Infinity, 2), null);
+
+    assertClose(normalCdf(0), 0.5, 1e-7, 'cdf(0)');
+    assertClose(normalCdf(1.959963984540054), 0.975, 1e-6, 'cdf(1.96)');
+    assertClose(normalCdf(-1), 0.158655, 1e-6, 'cdf(-1)');
+    assertClose(twoSidedNormalPValue(-1.959963984540054), 0.05, 1e-6, 'two-sided 1.96');
+    assertClose(twoSidedNormalPValue(0), 1, 1e-7, 'two-sided 0');
+});
@@ -0,0 +1,97 @@
+// storage.test.js - SEROX AI Storage Tests
+// File storage writes, loads and failure modes, and a stream registry restored from disk.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage, createMemoryStorage } = require('../storage.js');
+const { createStreamRegistry } = require('../streams.js');
+const { runPredictionCycle } = require('../predictionCycle.js');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serox-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('file storage round-trips a snapshot and leaves no temp files', async (t) => {
+    const dir = tempDir(t);
+    const storage = createFileStorage(path.join(dir, 'nested', 'state.json'));
+    assert.equal(await storage.load(), null);
+
+    const snapshot = { version: 2, savedAt: 1, streams: { default: { cycle: { history: [{ period: '1', actual: 3 }] } } } };
+    await storage.save(snapshot);
+    assert.deepEqual(await storage.load(), snapshot);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'nested')), ['state.json']);
+});
+
+test('queued saves land in order', async (t) => {
+    const storage = createFileStorage(path.join(tempDir(t), 'state.json'));
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.save({ savedAt: i })));
+    assert.deepEqual(await storage.load(), { savedAt: 19 });
+});
+
+test('a corrupt or truncated state file is reported, not treated as empty', async (t) => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'state.json');
+    const storage = createFileStorage(filePath);
+
+    fs.writeFileSync(filePath, 'not json');
+    await assert.rejects(storage.load(), /is not valid JSON/);
+
+    await storage.save({ version: 2, streams: { default: {} } });
+    const full = fs.readFileSync(filePath, 'utf8');
+    fs.writeFileSync(filePath, full.slice(0, full.length - 5));
+    await assert.rejects(storage.load(), /is not valid JSON/);
+});
+
+test('a temp file left by an interrupted write does not replace the last snapshot', async (t) => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'state.json');
+    const storage = createFileStorage(filePath);
+    await storage.save({ savedAt: 1 });
+    fs.writeFileSync(`${filePath}.999.123.tmp`, '{"savedAt": 2, "stre');
+    assert.deepEqual(await storage.load(), { savedAt: 1 });
+});
+
+test('a failed save rejects and does not block later saves', async (t) => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'state.json');
+    fs.mkdirSync(filePath);
+    const storage = createFileStorage(filePath);
+    await assert.rejects(storage.save({ savedAt: 1 }));
+    assert.deepEqual(fs.readdirSync(dir), ['state.json']);
+
+    fs.rmdirSync(filePath);
+    await storage.save({ savedAt: 2 });
+    assert.deepEqual(await storage.load(), { savedAt: 2 });
+});
+
+test('a stream registry restored from a saved snapshot resumes where it left off', async (t) => {
+    const storage = createFileStorage(path.join(tempDir(t), 'state.json'));
+    const registry = createStreamRegistry();
+    const stream = registry.get('default');
+    for (let i = 0; i < 30; i++) runPredictionCycle(stream.state, { issueNumber: String(20240100 + i), number: (i * 7) % 10 });
+    await storage.save({ version: 2, streams: registry.serialize() });
+
+    const restored = createStreamRegistry();
+    restored.restore((await storage.load()).streams);
+    const state = restored.get('default').state;
+    const asSaved = value => JSON.parse(JSON.stringify(value));
+    assert.equal(state.lastProcessedPeriod, stream.state.lastProcessedPeriod);
+    assert.deepEqual(state.history, asSaved(stream.state.history));
+    assert.deepEqual(state.currentPrediction, asSaved(stream.state.currentPrediction));
+    assert.deepEqual(state.engine.getState(), stream.state.engine.getState());
+
+    const next = { issueNumber: '20240130', number: 4 };
+    assert.deepEqual(runPredictionCycle(state, next).settlement, runPredictionCycle(stream.state, next).settlement);
+});
+
+test('memory storage hands back copies', async () => {
+    const storage = createMemoryStorage({ savedAt: 1 });
+    const loaded = await storage.load();
+    loaded.savedAt = 2;
+    assert.deepEqual(await storage.load(), { savedAt: 1 });
+});
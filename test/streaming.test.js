@@ -0,0 +1,159 @@
+// streaming.test.js - SEROX AI Streaming Indicator Tests
+// Feeds seeded series through indicators.js one period at a time and checks every step
+// against the batch functions in predictionLogic.js.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createEMA, createRSI, createRollingStats, createStochastic, createBollinger, createMACD, createRSITrend, createIndicatorSet
+} = require('../indicators.js');
+const {
+    calculateSMA, calculateEMA, calculateStdDev, calculateRSI,
+    calculateRSITrendStrength, calculateStochasticK, calculateBollingerPosition, createFeatureSetForML, createModelState
+} = require('../predictionLogic.js');
+const { seededNumbers, rows } = require('./helpers.js');
+
+const TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, message) {
+    if (expected === null || actual === null) return assert.equal(actual, expected, message);
+    assert.ok(Math.abs(actual - expected) < TOLERANCE, `${message}: ${actual} vs ${expected}`);
+}
+
+// Runs `indicator` over the series and hands each step's value and the newest-first
+// numbers so far to `check`.
+function replay(indicator, numbers, check) {
+    numbers.forEach((x, i) => check(indicator.update(x), numbers.slice(0, i + 1).reverse(), i));
+}
+
+test('streaming EMA matches calculateEMA at every step', () => {
+    for (const period of [1, 5, 12, 26]) {
+        replay(createEMA(period), seededNumbers(200, period), (value, newestFirst, i) => {
+            assertClose(value, calculateEMA(newestFirst, period), `EMA(${period}) at ${i}`);
+        });
+    }
+});
+
+test('streaming RSI matches calculateRSI at every step', () => {
+    for (const period of [2, 9, 14]) {
+        replay(createRSI(period), seededNumbers(200, period), (value, newestFirst, i) => {
+            assertClose(value, calculateRSI(newestFirst, period), `RSI(${period}) at ${i}`);
+        });
+    }
+});
+
+test('streaming RSI handles a series with no losses', () => {
+    const rsi = createRSI(3);
+    [1, 2, 3, 4, 5].forEach(x => rsi.update(x));
+    assert.equal(rsi.value, 100);
+});
+
+test('rolling stats match calculateSMA and calculateStdDev', () => {
+    for (const period of [2, 10, 20]) {
+        replay(createRollingStats(period), seededNumbers(300, period), (value, newestFirst, i) => {
+            if (i < period - 1) return assert.equal(value, null);
+            assertClose(value.mean, calculateSMA(newestFirst, period), `SMA(${period}) at ${i}`);
+            assertClose(value.stdDev, calculateStdDev(newestFirst, period), `StdDev(${period}) at ${i}`);
+        });
+    }
+});
+
+test('streaming stochastic matches calculateStochasticK', () => {
+    for (const period of [3, 14]) {
+        replay(createStochastic(period), seededNumbers(300, period), (value, newestFirst, i) => {
+            assertClose(value, calculateStochasticK(newestFirst, period), `%K(${period}) at ${i}`);
+        });
+    }
+    const flat = createStochastic(3);
+    [4, 4, 4].forEach(x => flat.update(x));
+    assert.equal(flat.value, null);
+});
+
+test('streaming Bollinger matches calculateBollingerPosition', () => {
+    const period = 20, width = 2;
+    replay(createBollinger(period, width), seededNumbers(300, 4), (value, newestFirst, i) => {
+        const position = value && value.percentB !== null ? Math.max(-2, Math.min(2, (value.percentB - 0.5) * 2)) : 0;
+        assertClose(position, calculateBollingerPosition(newestFirst, period, width), `position at ${i}`);
+        if (value) assertClose(value.upper - value.middle, width * calculateStdDev(newestFirst, period), `band at ${i}`);
+    });
+});
+
+test('streaming MACD matches EMAs recomputed over every prefix', () => {
+    const [fast, slow, signal] = [12, 26, 9];
+    const numbers = seededNumbers(200, 6);
+    const macdSeries = [];
+    replay(createMACD(fast, slow, signal), numbers, (value, newestFirst, i) => {
+        if (i < slow - 1) return assert.equal(value, null);
+        const macd = calculateEMA(newestFirst, fast) - calculateEMA(newestFirst, slow);
+        macdSeries.unshift(macd);
+        assertClose(value.macd, macd, `MACD at ${i}`);
+        assertClose(value.signal, calculateEMA(macdSeries, signal), `signal at ${i}`);
+        if (value.signal !== null) assertClose(value.histogram, macd - value.signal, `histogram at ${i}`);
+    });
+});
+
+test('streaming RSI trend matches calculateRSITrendStrength', () => {
+    const [rsiPeriod, averagePeriod] = [14, 9];
+    replay(createRSITrend(rsiPeriod, averagePeriod), seededNumbers(300, 8), (value, newestFirst, i) => {
+        const strength = value && value.average !== null ? Math.max(-1, Math.min(1, (value.rsi - value.average) / 50)) : 0;
+        assertClose(strength, calculateRSITrendStrength(newestFirst, rsiPeriod, averagePeriod), `strength at ${i}`);
+    });
+});
+
+test('an indicator set synced one period at a time matches a rebuilt one', () => {
+    const numbers = seededNumbers(400, 12);
+    const incremental = createIndicatorSet();
+    for (let end = 1; end <= numbers.length; end++) {
+        const history = rows(numbers.slice(0, end));
+        incremental.sync(history);
+        if (end % 50 !== 0) {
+            incremental.get('rsi', 14);
+            continue;
+        }
+        const rebuilt = createIndicatorSet().sync(history);
+        assert.equal(incremental.size(), rebuilt.size());
+        assert.deepEqual(incremental.latest(5), rebuilt.latest(5));
+        assertClose(incremental.get('rsi', 14), rebuilt.get('rsi', 14), `rsi at ${end}`);
+        assertClose(incremental.get('ema', 20), rebuilt.get('ema', 20), `ema at ${end}`);
+        assert.deepEqual(incremental.get('stats', 10), rebuilt.get('stats', 10));
+        assert.deepEqual(incremental.getLagged(10, 'stats', 10), rebuilt.getLagged(10, 'stats', 10));
+    }
+});
+
+test('an indicator set keeps no more numbers than the history it is synced to', () => {
+    const numbers = seededNumbers(120, 13);
+    const set = createIndicatorSet().sync(rows(numbers.slice(0, 100)));
+    for (let end = 101; end <= numbers.length; end++) set.sync(rows(numbers.slice(end - 100, end), 1000 + end - 100));
+    assert.equal(set.size(), 100);
+    assert.deepEqual(set.latest(3), numbers.slice(-3).reverse());
+    assert.deepEqual(set.get('stats', 10), createIndicatorSet().sync(rows(numbers.slice(-100))).get('stats', 10));
+});
+
+test('an indicator set rebuilds after invalidate or an unrelated history', () => {
+    const numbers = seededNumbers(60, 14);
+    const set = createIndicatorSet().sync(rows(numbers));
+    assert.equal(set.get('rsi', 14), calculateRSI(numbers.slice().reverse(), 14));
+
+    const rewritten = numbers.slice();
+    rewritten[10] = (rewritten[10] + 5) % 10;
+    set.invalidate().sync(rows(rewritten));
+    assert.equal(set.get('rsi', 14), calculateRSI(rewritten.slice().reverse(), 14));
+
+    const other = seededNumbers(30, 15);
+    set.sync(rows(other, 5000));
+    assert.equal(set.size(), 30);
+    assert.equal(set.get('rsi', 14), calculateRSI(other.slice().reverse(), 14));
+});
+
+test('features from an incrementally synced set match a fresh one', () => {
+    const numbers = seededNumbers(260, 16);
+    const model = createModelState();
+    const set = createIndicatorSet();
+    for (let end = 150; end <= numbers.length; end++) {
+        const history = rows(numbers.slice(0, end));
+        const incremental = createFeatureSetForML(model, history, undefined, set.sync(history));
+        if (end % 20 !== 0) continue;
+        const fresh = createFeatureSetForML(model, history);
+        for (const [key, value] of Object.entries(fresh)) assertClose(incremental[key], value, `${key} at ${end}`);
+    }
+});
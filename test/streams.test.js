@@ -0,0 +1,79 @@
+// streams.test.js - SEROX AI Stream Registry Tests
+// Stream id validation, STREAMS parsing, per-stream isolation and persistence.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STREAM_ID, isValidStreamId, parseStreamDefinitions, createStreamRegistry } = require('../streams.js');
+const { runPredictionCycle } = require('../predictionCycle.js');
+
+function feed(stream, count, firstPeriod = 20240100) {
+    for (let i = 0; i < count; i++) runPredictionCycle(stream.state, { issueNumber: String(firstPeriod + i), number: (i * 7) % 10 });
+}
+
+test('stream ids are 1-32 letters, digits, "_" or "-"', () => {
+    for (const id of ['default', 'wingo_1', 'A-9', 'x'.repeat(32)]) assert.equal(isValidStreamId(id), true, id);
+    for (const id of ['', 'x'.repeat(33), 'a b', '../data', 'ü', 7, null, undefined]) assert.equal(isValidStreamId(id), false, String(id));
+});
+
+test('STREAMS accepts the shorthand list and JSON, and refuses bad definitions', () => {
+    assert.deepEqual(parseStreamDefinitions('').map(stream => stream.id), [DEFAULT_STREAM_ID]);
+    assert.deepEqual(parseStreamDefinitions(' wingo1:1, manual '), [
+        { id: 'wingo1', typeId: 1, label: 'wingo1', source: { type: 'http' } },
+        { id: 'manual', typeId: null, label: 'manual', source: null }
+    ]);
+    assert.deepEqual(parseStreamDefinitions('[{"id":"t3","typeId":"3","label":"Table 3"}]'), [{ id: 't3', typeId: 3, label: 'Table 3', source: null }]);
+
+    assert.throws(() => parseStreamDefinitions('a/b:1'), /Invalid stream id "a\/b"/);
+    assert.throws(() => parseStreamDefinitions('one,two,one'), /Duplicate stream id "one"/);
+    assert.throws(() => parseStreamDefinitions('one:x'), /non-integer typeId/);
+    assert.throws(() => parseStreamDefinitions('[{"id":"one","source":{"intervalMs":5}}]'), /source without a type/);
+});
+
+test('only configured streams exist and each keeps its own state', () => {
+    const registry = createStreamRegistry({ definitions: parseStreamDefinitions('first,second') });
+    assert.equal(registry.defaultStreamId, 'first');
+    assert.equal(registry.get('third'), null);
+    assert.equal(registry.getOrCreate, undefined);
+
+    const first = registry.get('first');
+    const second = registry.get('second');
+    assert.notEqual(first.state.engine, second.state.engine);
+    feed(first, 20);
+    assert.equal(first.state.lastProcessedPeriod, '20240119');
+    assert.equal(second.state.lastProcessedPeriod, null);
+    assert.deepEqual(second.state.history, []);
+    assert.deepEqual(registry.list().map(stream => [stream.id, stream.historyLength]), [['first', 20], ['second', 0]]);
+    assert.deepEqual(registry.all().map(stream => stream.id), ['first', 'second']);
+});
+
+test('a reset starts the stream over and keeps its config override', () => {
+    const registry = createStreamRegistry({ definitions: parseStreamDefinitions('first,second') });
+    const first = registry.get('first');
+    first.state.engine.setConfig({ orchestration: { voting: 'weighted' } });
+    feed(first, 20);
+    feed(registry.get('second'), 5);
+
+    assert.equal(registry.reset('first'), first);
+    assert.deepEqual(first.state.history, []);
+    assert.equal(first.state.lastProcessedPeriod, null);
+    assert.equal(first.state.engine.getConfig().orchestration.voting, 'weighted');
+    assert.equal(registry.get('second').state.history.length, 6);
+    assert.equal(registry.reset('third'), null);
+});
+
+test('restore keeps configured definitions, adds stored streams and skips invalid ids', () => {
+    const saved = createStreamRegistry({ definitions: parseStreamDefinitions('[{"id":"main","label":"Old label"},{"id":"retired","typeId":4}]') });
+    feed(saved.get('main'), 10);
+    feed(saved.get('retired'), 3);
+    const snapshot = JSON.parse(JSON.stringify(saved.serialize()));
+    snapshot['../escape'] = snapshot.retired;
+
+    const registry = createStreamRegistry({ definitions: parseStreamDefinitions('[{"id":"main","label":"Main table"}]') });
+    registry.restore(snapshot);
+    assert.deepEqual(registry.all().map(stream => stream.id), ['main', 'retired']);
+    assert.equal(registry.get('main').label, 'Main table');
+    assert.equal(registry.get('main').state.lastProcessedPeriod, '20240109');
+    assert.equal(registry.get('retired').typeId, 4);
+    assert.equal(registry.get('retired').state.history.length, 4);
+    assert.deepEqual(registry.serialize().main.cycle.history, snapshot.main.cycle.history);
+});
@@ -0,0 +1,89 @@
+// targets.test.js - SEROX AI Prediction Target Tests
+// Outcome mapping, per-target probabilities and settlement, and the target scoreboard.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getColorsFromNumber, getParityFromNumber, getTarget, getTargetNames, predictTargets, settleTargets, createSeededRandom } = require('../predictionLogic.js');
+const { createCycleState, runPredictionCycle } = require('../predictionCycle.js');
+const { computeTargetStats } = require('../targetStats.js');
+const { rows } = require('./helpers.js');
+
+function sum(probabilities) {
+    return Object.values(probabilities).reduce((total, p) => total + p, 0);
+}
+
+test('numbers map onto the game colors and parity', () => {
+    assert.deepEqual(getColorsFromNumber(0), ['RED', 'VIOLET']);
+    assert.deepEqual(getColorsFromNumber(5), ['GREEN', 'VIOLET']);
+    assert.deepEqual([1, 3, 7, 9].map(getColorsFromNumber), [['GREEN'], ['GREEN'], ['GREEN'], ['GREEN']]);
+    assert.deepEqual([2, 4, 6, 8].map(getColorsFromNumber), [['RED'], ['RED'], ['RED'], ['RED']]);
+    assert.deepEqual([0, 3].map(getParityFromNumber), ['EVEN', 'ODD']);
+});
+
+test('base rates are the chance of each bet winning on a fair draw', () => {
+    assert.deepEqual(getTargetNames(), ['bigSmall', 'digit', 'color', 'parity']);
+    assert.deepEqual(getTarget('color').baseRates, { GREEN: 0.5, RED: 0.5, VIOLET: 0.2 });
+    assert.equal(getTarget('digit').baseRates['7'], 0.1);
+    assert.deepEqual(getTarget('parity').baseRates, { EVEN: 0.5, ODD: 0.5 });
+});
+
+test('without history every target falls back to its base rates', () => {
+    const targets = predictTargets([], null);
+    assert.deepEqual(targets.color.probabilities, getTarget('color').baseRates);
+    assert.deepEqual(targets.bigSmall.probabilities, { SMALL: 0.5, BIG: 0.5 });
+    assert.equal(targets.digit.prediction, '0');
+});
+
+test('exclusive targets get a probability distribution that follows the draws', () => {
+    const random = createSeededRandom(3);
+    const numbers = Array.from({ length: 150 }, () => Math.floor(random() * 10));
+    const targets = predictTargets(rows(numbers), null);
+    for (const name of ['bigSmall', 'digit', 'parity']) assert.ok(Math.abs(sum(targets[name].probabilities) - 1) < 1e-12, name);
+
+    const sevens = predictTargets(rows(new Array(150).fill(7)), null);
+    assert.equal(sevens.digit.prediction, '7');
+    assert.ok(Math.abs(sevens.digit.probabilities['7'] - 101 / 110) < 1e-12);
+    assert.equal(sevens.parity.prediction, 'ODD');
+    assert.equal(sevens.color.prediction, 'GREEN');
+});
+
+test('the consensus decision stands as the bigSmall prediction', () => {
+    const core = { finalDecision: 'COOLDOWN', trace: { ml: { bigScore: 2, smallScore: 1 } } };
+    const targets = predictTargets(rows([1, 2, 3]), core);
+    assert.equal(targets.bigSmall.prediction, 'COOLDOWN');
+    assert.ok(Math.abs(targets.bigSmall.probabilities.BIG - 1 / (1 + Math.exp(-1))) < 1e-12);
+    assert.equal(settleTargets(targets, 8).bigSmall.status, 'Cooldown');
+});
+
+test('each target settles with its own rule', () => {
+    const predictions = {
+        digit: { prediction: '5', probabilities: Object.fromEntries([...Array(10).keys()].map(d => [String(d), 0.1])) },
+        color: { prediction: 'VIOLET', probabilities: { GREEN: 0.5, RED: 0.5, VIOLET: 0.2 } },
+        parity: { prediction: 'EVEN', probabilities: { EVEN: 0.6, ODD: 0.4 } }
+    };
+    const settled = settleTargets(predictions, 5);
+    assert.equal(settled.digit.status, 'Win');
+    assert.ok(Math.abs(settled.digit.brier - (0.81 + 9 * 0.01)) < 1e-12);
+    assert.equal(settled.color.status, 'Win');
+    assert.ok(Math.abs(settled.color.probability - 0.7) < 1e-12);
+    assert.equal(settled.parity.status, 'Loss');
+    assert.ok(Math.abs(settled.parity.brier - (0.36 + 0.36)) < 1e-12);
+});
+
+test('the cycle records and scores every target', () => {
+    const state = createCycleState({ rng: createSeededRandom(8) });
+    const random = createSeededRandom(8);
+    for (let i = 0; i < 40; i++) runPredictionCycle(state, { issueNumber: String(20240000 + i), number: Math.floor(random() * 10) });
+
+    assert.deepEqual(Object.keys(state.currentPrediction.targets), getTargetNames());
+    assert.equal(state.currentPrediction.targets.bigSmall.prediction, state.currentPrediction.prediction);
+    const settledRow = state.history[1];
+    assert.equal(settledRow.targetResults.bigSmall.status, settledRow.status);
+
+    const stats = computeTargetStats(state.history);
+    assert.equal(stats.settledPeriods, 39);
+    const digit = stats.targets.find(target => target.name === 'digit');
+    assert.equal(digit.wins + digit.losses, 39);
+    assert.ok(Math.abs(digit.chanceHitRate - 0.1) < 1e-12);
+    assert.equal(computeTargetStats(state.history, 10).settledPeriods, 10);
+});
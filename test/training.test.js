@@ -0,0 +1,94 @@
+// training.test.js - SEROX AI ML Weight Training Tests
+// One online logistic-regression step (gradient, l1/l2, clamp) and the once-per-period training loop.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelState, trainOnSample, evolveMLWeights } = require('../predictionLogic.js');
+
+const PLAIN = { learningRate: 0.1, regularization: 'none', regularizationStrength: 0, maxAbsWeight: 5 };
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-12, `${message}: ${actual} vs ${expected}`);
+}
+
+// Newest-first settled rows with features, for oldest-first outcomes.
+function trainingRows(outcomes, firstPeriod = 1000) {
+    return outcomes.map((outcome, i) => ({
+        period: String(firstPeriod + i),
+        actual: outcome === 'BIG' ? 7 : 2,
+        resultType: outcome,
+        mlFeatures: { last_move: outcome === 'BIG' ? 1 : -1 }
+    })).reverse();
+}
+
+test('a step moves the weights toward the observed label', () => {
+    const big = createModelState();
+    const probabilityBig = 1 / (1 + Math.exp(-0.5));
+    const loss = trainOnSample(big, { last_move: 1 }, 1, PLAIN);
+    assertClose(big.mlFeatureWeights.last_move, 0.5 + 0.1 * (1 - probabilityBig), 'last_move after BIG');
+    assertClose(loss, -Math.log(probabilityBig), 'log loss');
+    assert.equal(big.mlFeatureWeights.rsi_strength, 1.5);
+
+    const small = createModelState();
+    trainOnSample(small, { last_move: 1 }, 0, PLAIN);
+    assertClose(small.mlFeatureWeights.last_move, 0.5 - 0.1 * probabilityBig, 'last_move after SMALL');
+
+    // A negative feature value pushes its weight the other way.
+    const negative = createModelState();
+    trainOnSample(negative, { last_move: -1 }, 1, PLAIN);
+    assert.ok(negative.mlFeatureWeights.last_move < 0.5);
+});
+
+test('l2 shrinks every weight in proportion and l1 by a fixed step down to zero', () => {
+    const l2 = createModelState();
+    trainOnSample(l2, {}, 1, { ...PLAIN, regularization: 'l2', regularizationStrength: 0.5 });
+    assertClose(l2.mlFeatureWeights.rsi_strength, 1.5 * 0.95, 'rsi_strength');
+    assertClose(l2.mlFeatureWeights.rsi_is_overbought, -2 * 0.95, 'rsi_is_overbought');
+
+    const l1 = createModelState();
+    l1.mlFeatureWeights.last_move = 0.01;
+    trainOnSample(l1, {}, 1, { ...PLAIN, regularization: 'l1', regularizationStrength: 0.5 });
+    assertClose(l1.mlFeatureWeights.rsi_strength, 1.45, 'rsi_strength');
+    assertClose(l1.mlFeatureWeights.rsi_is_overbought, -1.95, 'rsi_is_overbought');
+    assert.equal(l1.mlFeatureWeights.last_move, 0);
+});
+
+test('weights stay within maxAbsWeight', () => {
+    const model = createModelState();
+    const training = { ...PLAIN, learningRate: 1, maxAbsWeight: 3 };
+    trainOnSample(model, { last_move: 100, stochastic_k: 100 }, 1, training);
+    assert.equal(model.mlFeatureWeights.last_move, 3);
+    assert.equal(model.mlFeatureWeights.stochastic_k, 3);
+    for (let i = 0; i < 5; i++) trainOnSample(model, { last_move: 100 }, 0, training);
+    assert.equal(model.mlFeatureWeights.last_move, -3);
+    for (const weight of Object.values(model.mlFeatureWeights)) assert.ok(Math.abs(weight) <= 3);
+});
+
+test('each settled period is trained on once, oldest first', () => {
+    const model = createModelState();
+    const env = { clock: () => 42, training: PLAIN };
+    const history = trainingRows(['BIG', 'BIG', 'SMALL', 'BIG']);
+    evolveMLWeights(model, history, env);
+    assert.equal(model.lastTrainedPeriod, '1003');
+    assert.equal(model.mlWeightHistory.length, 1);
+    assert.equal(model.mlWeightHistory[0].samples, 4);
+    assert.equal(model.mlWeightHistory[0].timestamp, 42);
+    const weights = { ...model.mlFeatureWeights };
+
+    // The same periods again, and a late one older than the last trained period, change nothing.
+    evolveMLWeights(model, [...history, ...trainingRows(['SMALL'], 900)], env);
+    assert.deepEqual(model.mlFeatureWeights, weights);
+    assert.equal(model.mlWeightHistory.length, 1);
+
+    // Pending rows and rows without features are skipped; a new period trains just that one.
+    const pending = { period: '1006', actual: null, resultType: null, mlFeatures: { last_move: 1 } };
+    const withoutFeatures = { period: '1004', actual: 3, resultType: 'SMALL' };
+    evolveMLWeights(model, [pending, ...trainingRows(['SMALL'], 1005), withoutFeatures, ...history], env);
+    assert.equal(model.mlWeightHistory.length, 2);
+    assert.equal(model.mlWeightHistory[1].samples, 1);
+    assert.equal(model.lastTrainedPeriod, '1005');
+
+    const replayed = createModelState();
+    for (const row of history.slice().reverse()) trainOnSample(replayed, row.mlFeatures, row.resultType === 'BIG' ? 1 : 0, PLAIN);
+    assert.deepEqual(weights, replayed.mlFeatureWeights);
+});
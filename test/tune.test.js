@@ -0,0 +1,67 @@
+// tune.test.js - SEROX AI Parameter Search Tests
+// Walk-forward folds, the held-out folds the winner is reported on, and the worker pool.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { walkForwardFolds, splitHoldoutFolds, rankResults, evaluateInWorkers } = require('../tune.js');
+
+// Writes a worker script whose message handler runs `onMessage` ({ id, config } in scope).
+function fakeWorker(t, onMessage) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serox-tune-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'worker.js');
+    fs.writeFileSync(file, `const { parentPort } = require('worker_threads');\nparentPort.on('message', ({ id, config }) => { ${onMessage} });\n`);
+    return file;
+}
+
+function evaluate(workerFile, candidateCount = 4) {
+    const candidates = Array.from({ length: candidateCount }, (_, i) => ({ settings: { i }, config: { i } }));
+    return evaluateInWorkers(candidates, { seriesFile: null, format: null, folds: [], seed: 1, workers: 2, workerFile });
+}
+
+test('folds roll forward by the test length', () => {
+    assert.deepEqual(walkForwardFolds(650, 300, 100), [
+        { start: 0, trainEnd: 300, end: 400 },
+        { start: 100, trainEnd: 400, end: 500 },
+        { start: 200, trainEnd: 500, end: 600 }
+    ]);
+    assert.deepEqual(walkForwardFolds(399, 300, 100), []);
+});
+
+test('held-out test windows come after every window the candidates are ranked on', () => {
+    const { selection, holdout } = splitHoldoutFolds(walkForwardFolds(1000, 300, 100), 2);
+    assert.deepEqual(selection.map(fold => fold.end), [400, 500, 600, 700, 800]);
+    assert.deepEqual(holdout.map(fold => [fold.trainEnd, fold.end]), [[800, 900], [900, 1000]]);
+    const lastRanked = Math.max(...selection.map(fold => fold.end));
+    for (const fold of holdout) assert.ok(fold.trainEnd >= lastRanked);
+});
+
+test('candidates rank by hit rate, then by steadiness across folds', () => {
+    const ranked = rankResults([
+        { settings: { id: 'a' }, score: { hitRate: 0.52, foldHitRateStdDev: 0.05 } },
+        { settings: { id: 'b' }, score: { hitRate: null, foldHitRateStdDev: null } },
+        { settings: { id: 'c' }, score: { hitRate: 0.52, foldHitRateStdDev: 0.02 } },
+        { settings: { id: 'd' }, score: { hitRate: 0.55, foldHitRateStdDev: 0.09 } }
+    ]);
+    assert.deepEqual(ranked.map(result => result.settings.id), ['d', 'c', 'a', 'b']);
+});
+
+test('the worker pool collects a score for every candidate', async (t) => {
+    const results = await evaluate(fakeWorker(t, 'parentPort.postMessage({ id, score: { hitRate: config.i / 10 } });'));
+    assert.deepEqual(results.map(result => [result.settings.i, result.score.hitRate]), [[0, 0], [1, 0.1], [2, 0.2], [3, 0.3]]);
+});
+
+test('a worker that exits before answering fails the search instead of hanging it', async (t) => {
+    await assert.rejects(evaluate(fakeWorker(t, 'process.exit(3);')), /exited with code 3 before every candidate was scored/);
+    await assert.rejects(evaluate(fakeWorker(t, 'process.exit(0);')), /exited with code 0/);
+    // One good answer first does not hide the exit.
+    await assert.rejects(evaluate(fakeWorker(t, 'if (id > 1) process.exit(0); parentPort.postMessage({ id, score: {} });')), /exited with code 0/);
+});
+
+test('a candidate error or a worker error fails the search', async (t) => {
+    await assert.rejects(evaluate(fakeWorker(t, "parentPort.postMessage({ id, error: 'bad config' });")), /Candidate \d failed: bad config/);
+    await assert.rejects(evaluate(fakeWorker(t, "throw new Error('worker crashed');")), /worker crashed/);
+});
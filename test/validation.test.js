@@ -0,0 +1,132 @@
+// validation.test.js - SEROX AI Validation Tests
+// The POST /predict contract, its error codes, and how the cycle treats duplicate, conflicting,
+// late and stale results.
+// =================================================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, validationError, validateGameResult } = require('../validation.js');
+const { createCycleState, runPredictionCycle } = require('../predictionCycle.js');
+const { createSeededRandom } = require('../predictionLogic.js');
+
+function errorCode(gameResult) {
+    const { error } = validateGameResult(gameResult);
+    return error ? error.code : null;
+}
+
+function createState(options = {}) {
+    return createCycleState({ rng: createSeededRandom(9), ...options });
+}
+
+// MIN_HISTORY's lowest allowed value, so the trimming tests stay small.
+const SHORT_HISTORY = { maxHistoryLength: 30, config: { system: { MIN_HISTORY: 30 } } };
+
+function submit(state, issueNumber, number) {
+    return runPredictionCycle(state, { issueNumber, number });
+}
+
+test('every error code carries its status and message', () => {
+    for (const [code, { status, message }] of Object.entries(ERROR_CODES)) {
+        assert.ok(status >= 400 && status < 600, code);
+        assert.deepEqual(validationError(code), { code, status, message });
+    }
+    assert.deepEqual(validationError('STALE_PERIOD', 'gameResult.issueNumber', { oldestRetainedPeriod: '7' }), {
+        code: 'STALE_PERIOD', status: 409, message: ERROR_CODES.STALE_PERIOD.message, field: 'gameResult.issueNumber', oldestRetainedPeriod: '7'
+    });
+});
+
+test('a valid result is normalized', () => {
+    assert.deepEqual(validateGameResult({ issueNumber: '20250101100010001', number: 7 }).value, { issueNumber: '20250101100010001', number: 7 });
+    assert.deepEqual(validateGameResult({ issueNumber: 1001, number: '3' }).value, { issueNumber: '1001', number: 3 });
+    assert.deepEqual(validateGameResult({ issueNumber: ' 0042 ', number: ' 0 ' }).value, { issueNumber: '0042', number: 0 });
+});
+
+test('a missing game result is MISSING_GAME_RESULT', () => {
+    for (const gameResult of [undefined, null, 'x', 5, []]) assert.equal(errorCode(gameResult), 'MISSING_GAME_RESULT');
+    assert.equal(validateGameResult(null).error.field, 'gameResult');
+});
+
+test('a bad issue number is INVALID_ISSUE_NUMBER', () => {
+    for (const issueNumber of [undefined, '', 'abc', '12a', '1'.repeat(33), -1, 1.5, Number.MAX_SAFE_INTEGER + 2, {}]) {
+        assert.equal(errorCode({ issueNumber, number: 1 }), 'INVALID_ISSUE_NUMBER', String(issueNumber));
+    }
+    assert.equal(validateGameResult({ issueNumber: 'x', number: 1 }).error.field, 'gameResult.issueNumber');
+});
+
+test('a bad number is INVALID_NUMBER', () => {
+    for (const number of [undefined, null, true, -1, 10, 2.5, '12', '', 'seven']) {
+        assert.equal(errorCode({ issueNumber: '1001', number }), 'INVALID_NUMBER', String(number));
+    }
+    assert.equal(validateGameResult({ issueNumber: '1001', number: 10 }).error.status, 400);
+});
+
+test('the cycle rejects invalid results without touching state', () => {
+    const state = createState();
+    const outcome = runPredictionCycle(state, { issueNumber: '1001', number: 12 });
+    assert.equal(outcome.outcome, 'rejected');
+    assert.equal(outcome.rejection.code, 'INVALID_NUMBER');
+    assert.deepEqual(state.history, []);
+});
+
+test('a repeated result is a duplicate and a different number for it is a conflict', () => {
+    const state = createState();
+    submit(state, '1001', 4);
+    submit(state, '1002', 6);
+    const history = JSON.stringify(state.history);
+
+    assert.equal(submit(state, '1002', 6).outcome, 'duplicate');
+    assert.equal(submit(state, '1001', 4).outcome, 'duplicate');
+    const conflict = submit(state, '1001', 5);
+    assert.equal(conflict.outcome, 'rejected');
+    assert.equal(conflict.rejection.code, 'CONFLICTING_RESULT');
+    assert.equal(conflict.rejection.status, 409);
+    assert.equal(conflict.rejection.recordedNumber, 4);
+    assert.equal(JSON.stringify(state.history), history);
+});
+
+test('a late result is inserted in order and a full history drops its oldest row for it', () => {
+    const state = createState(SHORT_HISTORY);
+    for (let period = 1000; period <= 1032; period++) if (period !== 1028) submit(state, String(period), period % 10);
+    assert.equal(state.history.length, 30);
+    const oldest = state.history[29].period;
+
+    const late = submit(state, '1028', 8);
+    assert.equal(late.outcome, 'inserted');
+    assert.equal(state.history.length, 30);
+    assert.deepEqual(state.history.map(entry => entry.period), Array.from({ length: 30 }, (_, i) => String(1033 - i)));
+    assert.notEqual(state.history[29].period, oldest);
+    const row = state.history[5];
+    assert.deepEqual([row.status, row.actual, row.resultType], ['Late', 8, 'BIG']);
+    assert.equal(state.lastProcessedPeriod, '1032');
+
+    assert.equal(submit(state, '1028', 8).outcome, 'duplicate');
+});
+
+test('a late result older than a full history is STALE_PERIOD', () => {
+    const state = createState(SHORT_HISTORY);
+    for (let period = 1000; period <= 1035; period++) submit(state, String(period), 1);
+    const stale = submit(state, '1002', 1);
+    assert.equal(stale.outcome, 'rejected');
+    assert.equal(stale.rejection.code, 'STALE_PERIOD');
+    assert.equal(stale.rejection.oldestRetainedPeriod, '1007');
+    assert.equal(state.history.length, 30);
+});
+
+test('a history limit below MIN_HISTORY is refused when the cycle state is created', () => {
+    assert.throws(() => createState({ maxHistoryLength: 99 }), /maxHistoryLength \(99\) must be at least MIN_HISTORY \(100\)/);
+    assert.throws(() => createState({ maxHistoryLength: 29, config: { system: { MIN_HISTORY: 30 } } }), /MIN_HISTORY \(30\)/);
+    assert.equal(createState({ maxHistoryLength: 100 }).maxHistoryLength, 100);
+    assert.equal(createState(SHORT_HISTORY).maxHistoryLength, 30);
+});
+
+test('a prediction settles on the first period after a day rollover', () => {
+    const state = createState();
+    submit(state, '20250101100010479', 3);
+    const predicted = submit(state, '20250101100010480', 6).currentPrediction;
+    assert.equal(predicted.period, '20250101100010481');
+
+    const { outcome, settlement } = submit(state, '20250102100010001', 2);
+    assert.equal(outcome, 'predicted');
+    assert.equal(settlement.period, '20250102100010001');
+    assert.equal(state.history[1].period, '20250102100010001');
+    assert.equal(state.history.filter(entry => entry.actual === null).length, 1);
+});
@@ -0,0 +1,352 @@
+// tune.js - SEROX AI Walk-Forward Parameter Search
+// Grid or random search over model config parameters, scored out-of-sample.
+// Usage: node tune.js <results.json|results.csv> [--mode grid|random] [--samples 50]
+//        [--space space.json] [--train 300] [--test 100] [--holdout 1] [--seed 1]
+//        [--workers N] [--top 10] [--out best-config.json] [--report report.json]
+//
+// The series is cut into rolling folds: replay periods [k*test, k*test+train) so the
+// model can learn, then score only the next `test` periods. A candidate's score is its
+// hit rate pooled over the fold test windows, so nothing it is ranked on was seen while
+// it learned. The best of many candidates still looks better than it is, so the last
+// `holdout` folds are kept out of the ranking and only the winner is scored on them.
+// Replays run in worker threads, one candidate at a time per worker.
+// =================================================================
+const fs = require('fs');
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const { loadResultSeries, runBacktest } = require('./backtest.js');
+const { createSeededRandom, normalizeModelConfig } = require('./predictionLogic.js');
+const { wilsonInterval, binomialTest } = require('./statistics.js');
+
+const DEFAULT_OPTIONS = {
+    mode: 'random',
+    samples: 50,
+    train: 300,
+    test: 100,
+    holdout: 1,
+    seed: 1,
+    top: 10,
+    maxGridSize: 5000
+};
+
+// Each key is a config path. Grid mode takes every combination of the listed values (a
+// { min, max, integer } range contributes min, midpoint and max); random mode draws each
+// parameter independently from its list or range.
+const DEFAULT_SEARCH_SPACE = {
+    'system.MIN_HISTORY': [60, 100, 150],
+    'system.BAD_TREND_THRESHOLD': { min: 0.42, max: 0.48 },
+    'system.TARGET_ACCURACY': { min: 0.5, max: 0.6 },
+    'system.EVOLUTION_RATE': { min: 0, max: 0.02 },
+    'features.rsiPeriod': [9, 14, 21],
+    'features.macdFastPeriod': [8, 12],
+    'features.macdSlowPeriod': [21, 26, 34],
+    'features.stochasticPeriod': [9, 14, 21],
+    'features.bollingerPeriod': [14, 20, 30],
+    'features.bollingerWidth': { min: 1.5, max: 2.5 },
+    'advisors.RSITrend.params.threshold': { min: 1, max: 5 },
+    'advisors.Stochastic.params.overbought': [80, 85, 90],
+    'advisors.Stochastic.params.oversold': [10, 15, 20],
+    'advisors.VolatilityBreakout.params.ratio': { min: 1.4, max: 2.4 },
+    'advisors.MeanReversion.params.zScoreThreshold': { min: 1, max: 2.5 },
+    'orchestration.confidenceLevelCutoff': { min: 0.4, max: 0.7 },
+    'orchestration.defensivePenalty': { min: 0.5, max: 0.9 }
+};
+
+// --- SECTION 1: CANDIDATES ---
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+    node[keys[keys.length - 1]] = value;
+    return target;
+}
+
+function validateSearchSpace(space) {
+    if (!space || typeof space !== 'object' || Array.isArray(space) || Object.keys(space).length === 0) {
+        throw new Error('Search space must be an object of { "config.path": [values] | { min, max, integer } }.');
+    }
+    for (const [path, spec] of Object.entries(space)) {
+        if (Array.isArray(spec)) {
+            if (spec.length === 0) throw new Error(`Search space "${path}" has no values.`);
+        } else if (!spec || typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+            throw new Error(`Search space "${path}" must be a list of values or { min, max }.`);
+        }
+    }
+    return space;
+}
+
+function gridValues(spec) {
+    if (Array.isArray(spec)) return spec;
+    const mid = (spec.min + spec.max) / 2;
+    return [...new Set([spec.min, spec.integer ? Math.round(mid) : Number(mid.toFixed(4)), spec.max])];
+}
+
+function gridCandidates(space, maxGridSize) {
+    const entries = Object.entries(space).map(([path, spec]) => [path, gridValues(spec)]);
+    const size = entries.reduce((product, [, values]) => product * values.length, 1);
+    if (size > maxGridSize) throw new Error(`Grid has ${size} combinations (limit ${maxGridSize}). Narrow the space or use --mode random.`);
+    let candidates = [{}];
+    for (const [path, values] of entries) {
+        candidates = candidates.flatMap(candidate => values.map(value => ({ ...candidate, [path]: value })));
+    }
+    return candidates;
+}
+
+function randomCandidates(space, samples, seed) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: samples }, () => Object.fromEntries(Object.entries(space).map(([path, spec]) => {
+        if (Array.isArray(spec)) return [path, spec[Math.floor(random() * spec.length)]];
+        const value = spec.min + random() * (spec.max - spec.min);
+        return [path, spec.integer ? Math.round(value) : Number(value.toFixed(4))];
+    })));
+}
+
+// Turns flat { path: value } settings into a model config; returns null if it doesn't validate.
+function buildCandidateConfig(settings) {
+    const raw = Object.entries(settings).reduce((config, [path, value]) => setPath(config, path, value), {});
+    try {
+        return normalizeModelConfig(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+
+// --- SECTION 2: WALK-FORWARD SCORING ---
+
+function walkForwardFolds(length, train, test) {
+    const folds = [];
+    for (let start = 0; start + train + test <= length; start += test) {
+        folds.push({ start, trainEnd: start + train, end: start + train + test });
+    }
+    return folds;
+}
+
+// The last `holdout` folds score the winner only; their test windows come after every
+// test window the candidates are ranked on.
+function splitHoldoutFolds(folds, holdout) {
+    return { selection: folds.slice(0, folds.length - holdout), holdout: folds.slice(folds.length - holdout) };
+}
+
+function evaluateCandidate(series, folds, config, seed) {
+    let wins = 0, losses = 0, cooldowns = 0;
+    const perFold = folds.map(fold => {
+        const { summary } = runBacktest(series.slice(fold.start, fold.end), { seed, config, warmup: fold.trainEnd - fold.start });
+        wins += summary.wins;
+        losses += summary.losses;
+        cooldowns += summary.cooldowns;
+        return { start: fold.start, trainEnd: fold.trainEnd, end: fold.end, wins: summary.wins, losses: summary.losses, hitRate: summary.hitRate };
+    });
+    const decided = wins + losses;
+    const foldRates = perFold.map(fold => fold.hitRate).filter(rate => rate !== null);
+    const mean = foldRates.length > 0 ? foldRates.reduce((sum, rate) => sum + rate, 0) / foldRates.length : null;
+    const variance = foldRates.length > 1 ? foldRates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / (foldRates.length - 1) : null;
+    return {
+        wins,
+        losses,
+        cooldowns,
+        hitRate: decided > 0 ? wins / decided : null,
+        foldHitRateStdDev: variance === null ? null : Math.sqrt(variance),
+        wilson95: wilsonInterval(wins, decided),
+        binomialPValue: binomialTest(wins, decided, 0.5),
+        folds: perFold
+    };
+}
+
+// Best pooled hit rate first; ties go to the steadier candidate across folds.
+function rankResults(results) {
+    return results.slice().sort((a, b) => {
+        const rateDiff = (b.score.hitRate ?? -1) - (a.score.hitRate ?? -1);
+        if (rateDiff !== 0) return rateDiff;
+        return (a.score.foldHitRateStdDev ?? Infinity) - (b.score.foldHitRateStdDev ?? Infinity);
+    });
+}
+
+
+// --- SECTION 3: WORKERS ---
+
+function runWorker() {
+    const { seriesFile, format, folds, seed } = workerData;
+    const series = loadResultSeries(seriesFile, format);
+    parentPort.on('message', ({ id, config }) => {
+        try {
+            parentPort.postMessage({ id, score: evaluateCandidate(series, folds, config, seed) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+// Hands candidates to workers one at a time, so a slow candidate never holds up a queue.
+// workerFile is the script each worker runs: this file, unless a test swaps in its own.
+function evaluateInWorkers(candidates, { seriesFile, format, folds, seed, workers, onProgress, workerFile = __filename }) {
+    return new Promise((resolve, reject) => {
+        const results = new Array(candidates.length);
+        const pool = [];
+        let next = 0, done = 0, failed = false;
+
+        const finish = error => {
+            for (const worker of pool) worker.terminate();
+            if (error) reject(error); else resolve(results);
+        };
+        const dispatch = worker => {
+            if (next >= candidates.length) return;
+            const id = next++;
+            worker.postMessage({ id, config: candidates[id].config });
+        };
+
+        const poolSize = Math.max(1, Math.min(workers, candidates.length));
+        for (let i = 0; i < poolSize; i++) {
+            const worker = new Worker(workerFile, { workerData: { seriesFile, format, folds, seed } });
+            worker.on('message', ({ id, score, error }) => {
+                if (failed) return;
+                if (error) {
+                    failed = true;
+                    return finish(new Error(`Candidate ${id} failed: ${error}`));
+                }
+                results[id] = { ...candidates[id], score };
+                done++;
+                if (onProgress) onProgress(done, candidates.length);
+                if (done === candidates.length) return finish();
+                dispatch(worker);
+            });
+            worker.on('error', error => {
+                if (!failed) {
+                    failed = true;
+                    finish(error);
+                }
+            });
+            // A worker that dies without an 'error' (process.exit, a native crash) would
+            // otherwise leave its candidate, and the whole search, waiting forever.
+            worker.on('exit', code => {
+                if (failed || done === candidates.length) return;
+                failed = true;
+                finish(new Error(`A tuning worker exited with code ${code} before every candidate was scored.`));
+            });
+            pool.push(worker);
+            dispatch(worker);
+        }
+    });
+}
+
+
+// --- SECTION 4: REPORTING & CLI ---
+
+function formatPercent(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatTuningReport(report) {
+    const lines = [
+        `SEROX AI tuning - ${report.mode} search, ${report.evaluated} candidates (${report.invalid} invalid skipped)`,
+        `${report.periods} periods, ${report.folds.length} walk-forward folds of train ${report.train} / test ${report.test} ranked, ${report.holdoutFolds.length} held out, seed ${report.seed}`,
+        ''
+    ];
+    report.ranked.slice(0, report.top).forEach((result, index) => {
+        const { score } = result;
+        const ci = score.wilson95 ? `[${formatPercent(score.wilson95.lower)}, ${formatPercent(score.wilson95.upper)}]` : 'n/a';
+        const pValue = score.binomialPValue === null ? 'n/a' : score.binomialPValue.toFixed(4);
+        lines.push(`#${index + 1}  hit ${formatPercent(score.hitRate)}  ${score.wins}W ${score.losses}L  95% CI ${ci}  p=${pValue}  fold sd ${formatPercent(score.foldHitRateStdDev)}`);
+        lines.push(`    ${Object.entries(result.settings).map(([path, value]) => `${path}=${value}`).join('  ')}`);
+    });
+    const { score } = report.holdout;
+    const ci = score.wilson95 ? `[${formatPercent(score.wilson95.lower)}, ${formatPercent(score.wilson95.upper)}]` : 'n/a';
+    const pValue = score.binomialPValue === null ? 'n/a' : score.binomialPValue.toFixed(4);
+    lines.push('', `#1 on the held-out folds  hit ${formatPercent(score.hitRate)}  ${score.wins}W ${score.losses}L  95% CI ${ci}  p=${pValue}`);
+    lines.push('', `The ranked scores are biased upward: with ${report.evaluated} candidates tried, some look good by chance.`,
+        'Judge the winner by its held-out score; a p-value above 0.05 there means it is not distinguishable from a coin flip.');
+    return lines.join('\n');
+}
+
+function parseArgs(argv) {
+    const args = { file: null, format: null, space: null, out: null, report: null, workers: null, ...DEFAULT_OPTIONS };
+    const integerFlags = { '--samples': 'samples', '--train': 'train', '--test': 'test', '--holdout': 'holdout', '--seed': 'seed', '--workers': 'workers', '--top': 'top' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (integerFlags[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < (arg === '--seed' ? 0 : 1)) throw new Error(`${arg} must be a positive integer.`);
+            args[integerFlags[arg]] = value;
+        } else if (arg === '--mode') args.mode = argv[++i];
+        else if (arg === '--space') args.space = argv[++i];
+        else if (arg === '--format') args.format = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--report') args.report = argv[++i];
+        else if (!args.file) args.file = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (!args.file) throw new Error('Usage: node tune.js <results.json|results.csv> [--mode grid|random] [--samples N] [--space space.json] [--train N] [--test N] [--holdout N] [--seed N] [--workers N] [--top N] [--out config.json] [--report report.json]');
+    if (!['grid', 'random'].includes(args.mode)) throw new Error('--mode must be grid or random.');
+    return args;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const series = loadResultSeries(args.file, args.format);
+    const allFolds = walkForwardFolds(series.length, args.train, args.test);
+    if (allFolds.length <= args.holdout) {
+        throw new Error(`Need at least train + (holdout + 1) * test = ${args.train + (args.holdout + 1) * args.test} periods; the file has ${series.length}.`);
+    }
+    const { selection: folds, holdout: holdoutFolds } = splitHoldoutFolds(allFolds, args.holdout);
+
+    const space = validateSearchSpace(args.space ? JSON.parse(fs.readFileSync(args.space, 'utf8')) : DEFAULT_SEARCH_SPACE);
+    const settingsList = args.mode === 'grid' ? gridCandidates(space, args.maxGridSize) : randomCandidates(space, args.samples, args.seed);
+    const candidates = settingsList.map(settings => ({ settings, config: buildCandidateConfig(settings) })).filter(candidate => candidate.config);
+    if (candidates.length === 0) throw new Error('No candidate in the search space produced a valid config.');
+
+    const workers = args.workers || (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+    const results = await evaluateInWorkers(candidates, {
+        seriesFile: args.file,
+        format: args.format,
+        folds,
+        seed: args.seed,
+        workers,
+        onProgress: (done, total) => process.stderr.write(`\rEvaluated ${done}/${total}`)
+    });
+    process.stderr.write('\n');
+
+    const ranked = rankResults(results);
+    const report = {
+        mode: args.mode,
+        periods: series.length,
+        train: args.train,
+        test: args.test,
+        seed: args.seed,
+        top: args.top,
+        folds,
+        holdoutFolds,
+        evaluated: candidates.length,
+        invalid: settingsList.length - candidates.length,
+        ranked,
+        holdout: { settings: ranked[0].settings, score: evaluateCandidate(series, holdoutFolds, ranked[0].config, args.seed) }
+    };
+    console.log(formatTuningReport(report));
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report.ranked[0].config, null, 2) + '\n');
+        console.log(`\nBest config written to ${args.out} (load it with MODEL_CONFIG_PATH or backtest --config).`);
+    }
+    if (args.report) fs.writeFileSync(args.report, JSON.stringify(report, null, 2) + '\n');
+}
+
+if (!isMainThread) {
+    runWorker();
+} else if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    DEFAULT_SEARCH_SPACE,
+    gridCandidates,
+    randomCandidates,
+    buildCandidateConfig,
+    walkForwardFolds,
+    splitHoldoutFolds,
+    evaluateCandidate,
+    evaluateInWorkers,
+    rankResults
+};
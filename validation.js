@@ -0,0 +1,58 @@
+// validation.js - SEROX AI Request Validation
+// The POST /predict contract and the error codes every rejection carries:
+//   { gameResult: { issueNumber: "<1-32 digits>", number: <integer 0-9> } }
+// Numeric issue numbers and single-digit number strings (as upstream sends them) are accepted.
+// =================================================================
+const { isValidPeriodId } = require('./periods.js');
+
+const ERROR_CODES = {
+    INVALID_JSON: { status: 400, message: 'Request body is not valid JSON.' },
+    MISSING_GAME_RESULT: { status: 400, message: 'Request body must contain a gameResult object.' },
+    INVALID_ISSUE_NUMBER: { status: 400, message: 'gameResult.issueNumber must be a string of 1-32 digits.' },
+    INVALID_NUMBER: { status: 400, message: 'gameResult.number must be an integer from 0 to 9.' },
+    CONFLICTING_RESULT: { status: 409, message: 'This period was already recorded with a different number.' },
+    STALE_PERIOD: { status: 409, message: 'This period is older than the retained history.' },
+    INVALID_MODEL_CONFIG: { status: 400, message: 'Model config is invalid.' },
+    UNAUTHORIZED: { status: 401, message: 'A valid API key is required (Authorization: Bearer <key>).' },
+    FORBIDDEN: { status: 403, message: "This API key's role does not allow this request." },
+    RATE_LIMITED: { status: 429, message: 'Too many requests for this API key. Retry after the Retry-After delay.' },
+    AUTH_NOT_CONFIGURED: { status: 503, message: 'No API keys are configured, so only reads are allowed. Create one with node auth.js create, or set AUTH=off.' }
+};
+
+function validationError(code, field, details = {}) {
+    return { code, status: ERROR_CODES[code].status, message: ERROR_CODES[code].message, ...(field && { field }), ...details };
+}
+
+function normalizeIssueNumber(value) {
+    if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) return String(value);
+    if (typeof value === 'string' && isValidPeriodId(value.trim())) return value.trim();
+    return null;
+}
+
+function normalizeNumber(value) {
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 9) return value;
+    if (typeof value === 'string' && /^\s*\d\s*$/.test(value)) return Number(value);
+    return null;
+}
+
+// Returns { value: { issueNumber, number } } or { error: { code, status, message, field } }.
+function validateGameResult(gameResult) {
+    if (!gameResult || typeof gameResult !== 'object' || Array.isArray(gameResult)) {
+        return { error: validationError('MISSING_GAME_RESULT', 'gameResult') };
+    }
+    const issueNumber = normalizeIssueNumber(gameResult.issueNumber);
+    if (issueNumber === null || !isValidPeriodId(issueNumber)) {
+        return { error: validationError('INVALID_ISSUE_NUMBER', 'gameResult.issueNumber') };
+    }
+    const number = normalizeNumber(gameResult.number);
+    if (number === null) {
+        return { error: validationError('INVALID_NUMBER', 'gameResult.number') };
+    }
+    return { value: { issueNumber, number } };
+}
+
+module.exports = {
+    ERROR_CODES,
+    validationError,
+    validateGameResult
+};